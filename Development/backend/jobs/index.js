@@ -0,0 +1,62 @@
+const { purgeDueAccounts } = require('../utils/accountDeletion');
+const { notifyClosedPolls } = require('../utils/polls');
+const { publishDueDrafts } = require('../utils/drafts');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Background work that runs inside the API process. Jobs keep no state of
+// their own: each run looks in the database for whatever is due, so work
+// that came due while the server was down is picked up on the first run.
+const jobs = [
+  {
+    name: 'Account purge',
+    every: HOUR,
+    // Delete accounts whose deletion grace period has ended
+    run: async () => {
+      const count = await purgeDueAccounts();
+      if (count > 0) console.log(`Deleted ${count} accounts after their grace period`);
+    }
+  },
+  {
+    name: 'Poll close check',
+    every: MINUTE,
+    // Tell poll authors when their polls close
+    run: notifyClosedPolls
+  },
+  {
+    name: 'Scheduled post publishing',
+    every: MINUTE,
+    run: async () => {
+      const count = await publishDueDrafts();
+      if (count > 0) console.log(`Published ${count} scheduled posts`);
+    }
+  }
+];
+
+// Run a job now and then on its interval, skipping a tick if the last run
+// hasn't finished yet
+const startJob = ({ name, every, run }) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`${name} error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, every);
+};
+
+// Start every job. Call once the database is connected.
+const startJobs = () => jobs.map(startJob);
+
+module.exports = {
+  startJobs
+};
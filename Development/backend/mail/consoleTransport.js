@@ -0,0 +1,18 @@
+// Mail transport that prints messages to the server log instead of sending them
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log([
+      '----- Outgoing email -----',
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text,
+      '--------------------------'
+    ].join('\n'));
+  }
+});
+
+module.exports = createConsoleTransport;
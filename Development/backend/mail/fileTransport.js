@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Mail transport that writes each message to a JSON file instead of sending it.
+// Handy for local development and tests: the newest file is the latest email.
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  dir,
+
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const sentAt = new Date().toISOString();
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,43 @@
+const path = require('path');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// A mail transport exposes:
+//   send({ to, subject, text, html }) -> Promise
+// Add a driver here to deliver mail some other way.
+const drivers = {
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }),
+  file: () => createFileTransport({
+    dir: process.env.MAIL_DIR || path.join(__dirname, '../mail-outbox')
+  }),
+  console: () => createConsoleTransport()
+};
+
+let transport = null;
+
+// Get the configured mail transport (created once, on first use)
+const getMailer = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || 'console';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown mail driver: ${driver}`);
+    }
+    transport = drivers[driver]();
+  }
+  return transport;
+};
+
+// Send a message from the configured sender address
+const sendMail = (message) => getMailer().send({
+  from: process.env.MAIL_FROM || 'SocialApp <no-reply@localhost>',
+  ...message
+});
+
+module.exports = { getMailer, sendMail };
@@ -0,0 +1,61 @@
+// Builders for the emails the app sends. Each returns { subject, text, html }.
+
+const clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${pathname}`;
+
+// Names are user-supplied, so escape them before putting them in HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordResetMessage = ({ user, token, expiresInMinutes }) => {
+  const link = clientUrl(`/reset-password/${token}`);
+
+  return {
+    subject: 'Reset your SocialApp password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your password. Open this link to choose a new one:',
+      link,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you didn't ask to reset your password, you can ignore this email."
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+      <p><a href="${link}">Reset your password</a></p>
+      <p>The link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you didn't ask to reset your password, you can ignore this email.</p>
+    `
+  };
+};
+
+const emailVerificationMessage = ({ user, token, expiresInHours }) => {
+  const link = clientUrl(`/verify-email/${token}`);
+
+  return {
+    subject: 'Confirm your SocialApp email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${expiresInHours} hours. Until you confirm, you won't be able to post or follow people.`
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Please confirm your email address by clicking the link below:</p>
+      <p><a href="${link}">Confirm your email address</a></p>
+      <p>The link expires in ${expiresInHours} hours. Until you confirm, you won't be able to post or follow people.</p>
+    `
+  };
+};
+
+module.exports = {
+  passwordResetMessage,
+  emailVerificationMessage
+};
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Mail transport that delivers through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST must be set to use the smtp mail driver');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
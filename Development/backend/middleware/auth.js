@@ -1,22 +1,37 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolve an access token to its user and session. Throws if the token is
+// invalid or its session has been revoked or has expired.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+  if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+    throw new Error('Session is no longer active');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  return { user, session };
+};
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
+    const { user, session } = await authenticate(token);
 
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -24,4 +39,32 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Like auth, but lets the request through without a user when no valid token is sent
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const { user, session } = await authenticate(token);
+      req.user = user;
+      req.session = session;
+    }
+  } catch (error) {
+    req.user = null;
+  }
+  next();
+};
+
+// Use after auth on actions that unverified accounts can't take yet
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 module.exports = auth;
+module.exports.optionalAuth = optionalAuth;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
@@ -0,0 +1,80 @@
+const { getRateLimitStore } = require('../rateLimit');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-route policies: at most `max` requests per `windowMs`, counted per client IP
+// or per signed-in user (`keyBy: 'user'` falls back to the IP when nobody is signed in,
+// and must come after auth on the route to see the user).
+const policies = {
+  login: { windowMs: 15 * MINUTE, max: 20, keyBy: 'ip' },
+  register: { windowMs: HOUR, max: 10, keyBy: 'ip' },
+  refresh: { windowMs: 15 * MINUTE, max: 60, keyBy: 'ip' },
+  passwordReset: { windowMs: HOUR, max: 5, keyBy: 'ip' },
+  verifyEmail: { windowMs: HOUR, max: 20, keyBy: 'ip' },
+  verificationEmail: { windowMs: HOUR, max: 3, keyBy: 'user' },
+  createPost: { windowMs: HOUR, max: 30, keyBy: 'user' },
+  comment: { windowMs: MINUTE, max: 10, keyBy: 'user' },
+  like: { windowMs: MINUTE, max: 60, keyBy: 'user' },
+  vote: { windowMs: MINUTE, max: 30, keyBy: 'user' },
+  follow: { windowMs: HOUR, max: 100, keyBy: 'user' },
+  upload: { windowMs: HOUR, max: 50, keyBy: 'user' }
+};
+
+// "45 seconds", "1 minute", "12 minutes"
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Reply 429 with a Retry-After header (in seconds) and a readable message
+const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: message || `Too many requests, please try again in ${formatWait(retryAfter)}`,
+    retryAfter
+  });
+};
+
+// Build middleware for a named policy; options override the policy's settings
+const rateLimit = (name, options = {}) => {
+  const policy = { ...policies[name], ...options };
+  if (!policy.windowMs || !policy.max) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const client = policy.keyBy === 'user' && req.user
+        ? `user:${req.user._id}`
+        : `ip:${req.ip}`;
+
+      const { count, resetAt } = await getRateLimitStore().increment(
+        `${name}:${client}`,
+        policy.windowMs
+      );
+
+      res.set('RateLimit-Limit', String(policy.max));
+      res.set('RateLimit-Remaining', String(Math.max(policy.max - count, 0)));
+
+      if (count > policy.max) {
+        const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+        return sendTooManyRequests(res, retryAfter, policy.message);
+      }
+
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
+module.exports.policies = policies;
+module.exports.formatWait = formatWait;
+module.exports.sendTooManyRequests = sendTooManyRequests;
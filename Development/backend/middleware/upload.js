@@ -0,0 +1,52 @@
+const multer = require('multer');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_FILES = 4;
+
+const upload = multer({
+  // Keep files in memory so they can be hashed and processed before storing
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+});
+
+const errorMessages = {
+  LIMIT_FILE_SIZE: `Images cannot exceed ${MAX_FILE_SIZE / (1024 * 1024)}MB`,
+  LIMIT_FILE_COUNT: `You can upload up to ${MAX_FILES} images at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Only JPEG, PNG, GIF and WebP images are allowed'
+};
+
+// Run a multer middleware and turn its errors into 400 responses
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: errorMessages[error.code] || error.message });
+    }
+    if (error) {
+      console.error('Upload error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    next();
+  });
+};
+
+// Accept up to `maxCount` images in the given multipart field
+const uploadImages = (field, maxCount = MAX_FILES) => handleUpload(upload.array(field, maxCount));
+
+// Accept a single image in the given multipart field
+const uploadImage = (field) => handleUpload(upload.single(field));
+
+module.exports = {
+  uploadImages,
+  uploadImage,
+  MAX_FILES
+};
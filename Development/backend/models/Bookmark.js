@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A post a user saved for later. Only the user who saved it can see it.
+// Every bookmark is under "All"; it can also sit in any of their collections.
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One bookmark per user per post
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+
+// Indexes for listing bookmarks, newest first, overall or per collection
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ user: 1, collections: 1, createdAt: -1 });
+
+// Index for cleaning up after a deleted post
+bookmarkSchema.index({ post: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
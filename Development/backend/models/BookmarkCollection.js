@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A named, private group of a user's bookmarks
+const bookmarkCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Names are unique per user
+bookmarkCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+// How deep reply threads nest; replies to a comment at this depth are
+// attached next to it instead of under it
+const MAX_COMMENT_DEPTH = 3;
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // The comment this one replies to (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Who liked the comment; left out of queries since it can grow large
+  likes: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  // Earlier versions of the content, oldest first, each with when it was written
+  editHistory: {
+    type: [{
+      content: String,
+      createdAt: Date
+    }],
+    select: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Direct replies, kept up to date so lists can show and sort by it
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for paging through a post's comments (or a comment's replies)
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parent: 1, likeCount: -1, createdAt: -1 });
+
+// Index for finding a user's comments (data export, account deletion)
+commentSchema.index({ user: 1 });
+
+// Add a comment to a post, optionally as a reply to another comment on it
+commentSchema.statics.createForPost = async function(postId, userId, content, mentions = [], parentComment = null) {
+  let parent = null;
+  let depth = 0;
+
+  if (parentComment) {
+    if (parentComment.depth >= MAX_COMMENT_DEPTH) {
+      parent = parentComment.parent;
+      depth = parentComment.depth;
+    } else {
+      parent = parentComment._id;
+      depth = parentComment.depth + 1;
+    }
+  }
+
+  const comment = await this.create({
+    post: postId,
+    user: userId,
+    content,
+    mentions,
+    parent,
+    depth
+  });
+
+  await Post.updateOne({ _id: postId }, { $inc: { commentCount: 1 } });
+  if (parent) {
+    await this.updateOne({ _id: parent }, { $inc: { replyCount: 1 } });
+  }
+  return comment;
+};
+
+// Method to replace the content, keeping the old version in the history
+// (needs editHistory selected)
+commentSchema.methods.edit = function(content, mentions) {
+  this.editHistory.push({
+    content: this.content,
+    createdAt: this.editedAt || this.createdAt
+  });
+  this.content = content;
+  this.mentions = mentions;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Like or unlike a comment; returns whether it is now liked, or null if the
+// comment is gone. The filters keep the count right under concurrent clicks.
+commentSchema.statics.toggleLike = async function(commentId, userId) {
+  const liked = await this.updateOne(
+    { _id: commentId, likes: { $ne: userId } },
+    { $push: { likes: userId }, $inc: { likeCount: 1 } }
+  );
+  if (liked.modifiedCount > 0) return true;
+
+  const unliked = await this.updateOne(
+    { _id: commentId, likes: userId },
+    { $pull: { likes: userId }, $inc: { likeCount: -1 } }
+  );
+  return unliked.modifiedCount > 0 ? false : null;
+};
+
+// Remove comments along with every reply beneath them, keeping the counts on
+// their posts and surviving parent comments in step. Returns how many went.
+commentSchema.statics.removeThreads = async function(commentIds) {
+  const roots = await this.find({ _id: { $in: commentIds } }).select('post parent');
+  if (roots.length === 0) return 0;
+
+  // Walk down one level at a time; threads are at most MAX_COMMENT_DEPTH deep
+  const removedIds = new Set(roots.map(comment => comment._id.toString()));
+  const removed = roots.map(comment => comment._id);
+  let level = removed;
+  while (level.length > 0) {
+    const replies = await this.find({ parent: { $in: level } }).select('_id');
+    level = replies
+      .map(reply => reply._id)
+      .filter(id => !removedIds.has(id.toString()));
+    level.forEach(id => removedIds.add(id.toString()));
+    removed.push(...level);
+  }
+
+  const perPost = await this.aggregate([
+    { $match: { _id: { $in: removed } } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+
+  await this.deleteMany({ _id: { $in: removed } });
+
+  for (const { _id, count } of perPost) {
+    await Post.updateOne({ _id }, { $inc: { commentCount: -count } });
+  }
+
+  for (const root of roots) {
+    if (root.parent && !removedIds.has(root.parent.toString())) {
+      await this.updateOne({ _id: root.parent }, { $inc: { replyCount: -1 } });
+    }
+  }
+
+  return removed.length;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
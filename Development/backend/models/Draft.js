@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A post that hasn't been published yet: autosaved from the composer, or
+// scheduled to publish at scheduledFor. Drafts never show up anywhere but
+// their author's drafts list; publishing creates the Post and removes the draft.
+const draftSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: 5000
+  },
+  // Text of the posts that follow when the draft is a thread
+  thread: [{
+    type: String,
+    maxlength: 5000
+  }],
+  // Only images that were already uploaded
+  images: [{
+    type: String
+  }],
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  audience: {
+    type: String,
+    enum: ['public', 'followers', 'close_friends', 'only_me'],
+    default: 'public'
+  },
+  // The poll as set up in the composer; it gets its closing time when published
+  poll: {
+    type: new mongoose.Schema({
+      options: [{
+        type: String,
+        maxlength: 100
+      }],
+      multipleChoice: {
+        type: Boolean,
+        default: false
+      },
+      durationHours: {
+        type: Number,
+        default: 24
+      }
+    }, { _id: false }),
+    default: null
+  },
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Why the last scheduled publish didn't go through (the draft is then
+  // unscheduled so the author can fix it)
+  publishError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for the drafts list, most recently edited first
+draftSchema.index({ author: 1, updatedAt: -1 });
+
+// Index for finding scheduled drafts that are due
+draftSchema.index({ scheduledFor: 1 });
+
+// Update timestamp on save
+draftSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Draft', draftSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One user's vote on a post's poll: the indexes of the options they picked.
+// Kept apart from the post so results can be held back from people who
+// haven't voted yet.
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  options: [{
+    type: Number,
+    required: true
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One vote per user per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+
+// Index for a user's votes (account deletion, data export)
+pollVoteSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
@@ -1,15 +1,17 @@
 const mongoose = require('mongoose');
+const { REACTION_TYPES, countReactions } = require('../utils/reactions');
 
-const commentSchema = new mongoose.Schema({
+// One person's reaction to a post; each user has at most one per post
+const reactionSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  content: {
+  type: {
     type: String,
-    required: true,
-    maxlength: 1000
+    enum: REACTION_TYPES,
+    required: true
   },
   createdAt: {
     type: Date,
@@ -17,25 +19,66 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+// A poll attached to a post. Votes are stored as PollVotes.
+const pollSchema = new mongoose.Schema({
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    }
+  }],
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the author has been told the poll closed
+  closedNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // A repost is a pure reshare with no content of its own
   content: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.repostOf;
+    },
     maxlength: 5000
   },
   images: [{
     type: String
   }],
-  likes: [{
+  // Feed-sized versions of `images`, in the same order
+  thumbnails: [{
+    type: String
+  }],
+  poll: {
+    type: pollSchema,
+    default: null
+  },
+  reactions: [reactionSchema],
+  // Comments live in their own collection; this count is kept in step with it
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  mentions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [commentSchema],
   tags: [{
     type: String,
     trim: true
@@ -44,9 +87,64 @@ const postSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  isPublic: {
-    type: Boolean,
-    default: true
+  // Who sees the post (see utils/audience.js); authors always see their own
+  audience: {
+    type: String,
+    enum: ['public', 'followers', 'close_friends', 'only_me'],
+    default: 'public'
+  },
+  // The post this one reshares as-is, or embeds under its own content.
+  // Both always point at an original, never at another repost.
+  repostOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  quoteOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  repostCount: {
+    type: Number,
+    default: 0
+  },
+  quoteCount: {
+    type: Number,
+    default: 0
+  },
+  // Threads: every post after the first points at the first (the root) and
+  // holds its place in the thread. Feeds only list roots, which keep count
+  // of how many posts the thread has.
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  threadPosition: {
+    type: Number,
+    default: 0
+  },
+  threadLength: {
+    type: Number,
+    default: 1
+  },
+  // Earlier versions of the post, oldest first, each with when it was written
+  revisions: {
+    type: [{
+      content: String,
+      images: [String],
+      tags: [String],
+      location: String,
+      createdAt: Date
+    }],
+    select: false
+  },
+  // Set when the content, images, tags or location change (updatedAt also
+  // moves on reactions)
+  editedAt: {
+    type: Date,
+    default: null
   },
   createdAt: {
     type: Date,
@@ -58,52 +156,94 @@ const postSchema = new mongoose.Schema({
   }
 });
 
+// Text index for full-text post search (content weighted above tags)
+postSchema.index(
+  { content: 'text', tags: 'text' },
+  { weights: { content: 10, tags: 5 }, name: 'PostTextIndex' }
+);
+
+// Index for hashtag pages and the hashtag index
+postSchema.index({ tags: 1, createdAt: -1 });
+
+// Indexes for finding a post's reposts and quotes
+postSchema.index({ repostOf: 1, author: 1 });
+postSchema.index({ quoteOf: 1 });
+
+// Index for reading a thread in order
+postSchema.index({ threadRoot: 1, threadPosition: 1 });
+
+// Index for finding polls that have closed
+postSchema.index({ 'poll.closedNotifiedAt': 1, 'poll.closesAt': 1 });
+
 // Update timestamp on save
 postSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Virtual for like count
-postSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
+// Virtual for reaction counts per type
+postSchema.virtual('reactionCounts').get(function() {
+  return countReactions(this.reactions);
 });
 
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
-});
+// Method to get the type of a user's reaction (null if they haven't reacted)
+postSchema.methods.getReaction = function(userId) {
+  const reaction = this.reactions.find(r => r.user.equals(userId));
+  return reaction ? reaction.type : null;
+};
 
-// Method to add like
-postSchema.methods.addLike = function(userId) {
-  if (!this.likes.includes(userId)) {
-    this.likes.push(userId);
-    return this.save();
+// Method to set a user's reaction, replacing any earlier one
+postSchema.methods.setReaction = function(userId, type) {
+  const existing = this.reactions.find(r => r.user.equals(userId));
+  if (existing) {
+    existing.type = type;
+    existing.createdAt = new Date();
+  } else {
+    this.reactions.push({ user: userId, type });
   }
-  return Promise.resolve(this);
+  return this.save();
 };
 
-// Method to remove like
-postSchema.methods.removeLike = function(userId) {
-  this.likes = this.likes.filter(id => !id.equals(userId));
+// Method to remove a user's reaction
+postSchema.methods.removeReaction = function(userId) {
+  this.reactions = this.reactions.filter(r => !r.user.equals(userId));
   return this.save();
 };
 
-// Method to add comment
-postSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content: content
-  });
-  return this.save();
+// Method to apply an edit, keeping the current version as a revision when
+// anything revisioned changes (needs revisions selected; does not save)
+postSchema.methods.applyEdit = function({ content, images, tags, location }) {
+  const previous = {
+    content: this.content,
+    images: [...this.images],
+    tags: [...this.tags],
+    location: this.location
+  };
+
+  this.content = content;
+  if (images !== undefined) this.images = images;
+  this.tags = tags;
+  if (location !== undefined) this.location = location;
+
+  const changed = previous.content !== this.content
+    || previous.location !== this.location
+    || previous.images.join('\n') !== this.images.join('\n')
+    || previous.tags.join('\n') !== this.tags.join('\n');
+
+  if (changed) {
+    this.revisions.push({
+      ...previous,
+      createdAt: this.editedAt || this.createdAt
+    });
+    this.editedAt = new Date();
+  }
+  return changed;
 };
 
 // Method to get post with populated fields
 postSchema.methods.getPopulatedPost = function() {
   return this.populate([
-    { path: 'author', select: 'username firstName lastName profilePicture' },
-    { path: 'likes', select: 'username firstName lastName' },
-    { path: 'comments.user', select: 'username firstName lastName profilePicture' }
+    { path: 'author', select: 'username firstName lastName profilePicture' }
   ]);
 };
 
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's sessions
+sessionSchema.index({ user: 1, createdAt: -1 });
+
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Failed logins allowed before the account is locked; each further failure
+// doubles the lock, up to the maximum
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_MINUTES = 1;
+const MAX_LOCK_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -43,6 +52,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Square avatar renditions produced by the avatar upload endpoint
+  profilePictureSizes: {
+    small: { type: String, default: '' },
+    medium: { type: String, default: '' },
+    large: { type: String, default: '' }
+  },
+  coverPhoto: {
+    type: String,
+    default: ''
+  },
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -51,6 +70,38 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Private accounts approve followers and hide their posts from everyone else
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Blocking hides both users from each other; muting only hides the muted
+  // user's content from this user
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who see this user's close friends posts. Private to this user.
+  closeFriends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Pending (incoming) follow requests for private accounts
+  followRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   posts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
@@ -62,7 +113,7 @@ const userSchema = new mongoose.Schema({
   notifications: [{
     type: {
       type: String,
-      enum: ['like', 'comment', 'follow', 'mention'],
+      enum: ['like', 'reaction', 'comment', 'reply', 'comment_like', 'repost', 'poll_closed', 'follow', 'follow_request', 'mention'],
       required: true
     },
     from: {
@@ -74,7 +125,13 @@ const userSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Post'
     },
+    // Set when the notification is about a specific comment on the post
+    comment: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     content: String,
+    // Which reaction, for 'like' and 'reaction' notifications
+    reaction: String,
     read: {
       type: Boolean,
       default: false
@@ -84,12 +141,80 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Left out of queries unless asked for, so they never end up in responses
+  emailVerificationTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Secret being set up but not yet confirmed with a first code
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Time step of the last code accepted, so codes can't be reused
+  twoFactorLastStep: {
+    type: Number,
+    default: -1,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Set while the account is waiting to be deleted; cleared if the user cancels
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Index for finding whose close friends list a user is on
+userSchema.index({ closeFriends: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -108,6 +233,97 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Seconds until a locked account can try to log in again (0 when not locked).
+// Needs failedLoginAttempts and lockUntil selected.
+userSchema.methods.getLockRemaining = function() {
+  if (!this.lockUntil) return 0;
+  return Math.max(Math.ceil((this.lockUntil - Date.now()) / 1000), 0);
+};
+
+// Method to record a failed login, locking the account for progressively
+// longer once there have been too many in a row
+userSchema.methods.registerFailedLogin = function() {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  const excess = this.failedLoginAttempts - MAX_FAILED_LOGINS;
+  if (excess >= 0) {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** excess, MAX_LOCK_MINUTES);
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  }
+  return this.save();
+};
+
+// Method to clear failed logins after a successful one
+userSchema.methods.resetFailedLogins = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return Promise.resolve(this);
+  }
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  return this.save();
+};
+
+// Method to start a password reset. Only a hash of the token is stored;
+// the raw token is returned so it can be emailed to the user.
+userSchema.methods.createPasswordResetToken = function(ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Find the user a password reset token belongs to, if it hasn't expired
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Method to start email verification. As with password resets, only a hash is stored.
+userSchema.methods.createEmailVerificationToken = function(ttlHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Find the user an email verification token belongs to, if it hasn't expired
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Method to check whether a user follows this user
+userSchema.methods.isFollowedBy = function(userId) {
+  // Works whether or not followers has been populated
+  return this.followers.some(follower => follower._id.equals(userId));
+};
+
+// Method to check whether a user has a pending follow request to this user
+userSchema.methods.hasFollowRequestFrom = function(userId) {
+  return this.followRequests.some(request => request.user._id.equals(userId));
+};
+
+// Method to check whether this user has blocked a user
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(id => id.equals(userId));
+};
+
+// Method to check whether this user has muted a user
+userSchema.methods.hasMuted = function(userId) {
+  return this.mutedUsers.some(id => id.equals(userId));
+};
+
+// Method to check whether a viewer may see this user's posts
+userSchema.methods.canBeViewedBy = function(viewerId) {
+  if (!this.isPrivate) return true;
+  if (!viewerId) return false;
+  return this._id.equals(viewerId) || this.isFollowedBy(viewerId);
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -117,6 +333,13 @@ userSchema.methods.getPublicProfile = function() {
     lastName: this.lastName,
     bio: this.bio,
     profilePicture: this.profilePicture,
+    profilePictureSizes: {
+      small: this.profilePictureSizes?.small || '',
+      medium: this.profilePictureSizes?.medium || '',
+      large: this.profilePictureSizes?.large || ''
+    },
+    coverPhoto: this.coverPhoto,
+    isPrivate: this.isPrivate,
     followers: this.followers.length,
     following: this.following.length,
     posts: this.posts.length,
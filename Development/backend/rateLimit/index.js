@@ -0,0 +1,27 @@
+const createMemoryStore = require('./memoryStore');
+
+// A rate limit store exposes:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//     counts a hit against key in the current window, starting a new window
+//     of windowMs if the last one has ended
+//   reset(key)               -> Promise
+// Add a driver here to keep counters somewhere shared between servers.
+const drivers = {
+  memory: () => createMemoryStore()
+};
+
+let store = null;
+
+// Get the configured rate limit store (created once, on first use)
+const getRateLimitStore = () => {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown rate limit store: ${driver}`);
+    }
+    store = drivers[driver]();
+  }
+  return store;
+};
+
+module.exports = { getRateLimitStore };
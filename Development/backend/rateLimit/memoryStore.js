@@ -0,0 +1,36 @@
+// Rate limit store that keeps counters in this process's memory. Counters are
+// lost on restart and not shared between processes; use a shared store
+// (e.g. Redis) when running more than one server.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+
+  // Drop expired counters now and then so memory doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
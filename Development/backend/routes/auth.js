@@ -2,14 +2,98 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { sendTooManyRequests, formatWait } = require('../middleware/rateLimit');
+const { createSession, rotateSession } = require('../utils/sessions');
+const { sendMail } = require('../mail');
+const { passwordResetMessage, emailVerificationMessage } = require('../mail/messages');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../utils/totp');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastStep +twoFactorBackupCodes';
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lockUntil';
+
+// Profile sent back to the account owner, which also says whether they've verified their email
+const getAccountProfile = (user) => ({
+  ...user.getPublicProfile(),
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  deletionScheduledFor: user.deletionScheduledFor
+});
+
+// Check a login code, which may be an authenticator code or an unused backup code.
+// Marks the code as used on the (unsaved) user and returns whether it was valid.
+// The user must be loaded with TWO_FACTOR_FIELDS.
+const useTwoFactorCode = (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code, user.twoFactorLastStep);
+  if (step !== null) {
+    user.twoFactorLastStep = step;
+    return true;
+  }
+
+  const hash = hashBackupCode(code);
+  if (user.twoFactorBackupCodes.includes(hash)) {
+    user.twoFactorBackupCodes = user.twoFactorBackupCodes.filter(saved => saved !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+// Reply 429 if the account is locked after too many failed logins.
+// Returns true when a response was sent.
+const rejectIfLocked = (user, res) => {
+  const remaining = user.getLockRemaining();
+  if (remaining > 0) {
+    sendTooManyRequests(
+      res,
+      remaining,
+      `Too many failed login attempts. Try again in ${formatWait(remaining)}`
+    );
+    return true;
+  }
+  return false;
+};
+
+// Fresh backup codes: the plain codes are returned once, only hashes are kept
+const resetBackupCodes = (user) => {
+  const codes = generateBackupCodes();
+  user.twoFactorBackupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_TTL_HOURS);
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationMessage({
+      user,
+      token,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    })
+  });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   body('username')
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
@@ -57,16 +141,21 @@ router.post('/register', [
 
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      userId: user._id
-    };
+    // The account works without verification, just with limits, so a mail
+    // failure shouldn't fail the sign-up; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Start a session and issue an access token plus a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
-      user: user.getPublicProfile()
+      refreshToken,
+      user: getAccountProfile(user)
     });
 
   } catch (error) {
@@ -78,7 +167,7 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', [
+router.post('/login', rateLimit('login'), [
   body('email')
     .notEmpty()
     .withMessage('Email is required'),
@@ -96,27 +185,46 @@ router.post('/login', [
     const { email, password } = req.body;
 
     // Check if user exists
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select(LOCKOUT_FIELDS);
     if (!user) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (rejectIfLocked(user, res)) return;
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT token
-    const payload = {
-      userId: user._id
-    };
+    // With 2FA on, the password only earns a short-lived challenge token
+    // that has to be exchanged at /login/2fa together with a code
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: 'two_factor' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Failures are only cleared once the whole login has succeeded,
+    // so guessing 2FA codes counts towards the lockout too
+    await user.resetFailedLogins();
+
+    // Start a session and issue an access token plus a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
-      user: user.getPublicProfile()
+      refreshToken,
+      user: getAccountProfile(user)
     });
 
   } catch (error) {
@@ -125,6 +233,60 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange a challenge token and a 2FA or backup code for tokens
+// @access  Public
+router.post('/login/2fa', rateLimit('login'), [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== 'two_factor') {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+
+    const user = await User.findById(challenge.userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+
+    if (rejectIfLocked(user, res)) return;
+
+    if (!useTwoFactorCode(user, req.body.code)) {
+      await user.registerFailedLogin();
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    await user.save();
+    await user.resetFailedLogins();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      user: getAccountProfile(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -137,4 +299,395 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and its otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TOTP_ISSUER || 'SocialApp'
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish 2FA enrollment by confirming a first code; returns backup codes
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select(`+twoFactorPendingSecret ${TWO_FACTOR_FIELDS}`);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    const backupCodes = resetBackupCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication is on',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (requires the account password)
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = -1;
+    user.twoFactorBackupCodes = [];
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes with new ones (requires the account password)
+// @access  Private
+router.post('/2fa/backup-codes', auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is off' });
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    const backupCodes = resetBackupCodes(user);
+    await user.save();
+
+    res.json({ backupCodes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the token from the verification link
+// @access  Public
+router.post('/verify-email', rateLimit('verifyEmail'), [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, rateLimit('verificationEmail'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('passwordReset'), [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const response = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // A new token replaces any earlier one
+    const token = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES);
+    await user.save();
+
+    // A failed send is only logged, so the response still doesn't give away
+    // that the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetMessage({
+          user,
+          token,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        })
+      });
+    } catch (mailError) {
+      console.error('Send password reset email error:', mailError);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', rateLimit('passwordReset'), [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Tokens are single-use
+    user.password = req.body.password;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Log out everywhere, in case someone else had access to the account
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ message: 'Password has been reset, you can now log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', rateLimit('refresh'), [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Session has expired, please log in again' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.session.revoke();
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .select('device ip lastUsedAt createdAt');
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        current: session._id.equals(req.session._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user._id, _id: { $ne: req.session._id }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      message: 'Logged out of all other sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke();
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const auth = require('../middleware/auth');
+const { getHiddenUserIds, getVisibleAuthorIds } = require('../utils/blocking');
+const { preparePosts } = require('../utils/posts');
+const { getAudienceCheck, loadVisiblePost } = require('../utils/audience');
+
+const router = express.Router();
+
+const collectionNameRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Collection name is required')
+    .isLength({ max: 50 })
+    .withMessage('Collection name cannot exceed 50 characters')
+];
+
+// Look up one of the user's own collections (null if it isn't theirs)
+const findOwnCollection = (collectionId, userId) => {
+  return BookmarkCollection.findOne({ _id: collectionId, user: userId });
+};
+
+// Find the post a user wants to save, or null if there is none they can
+// see. Saving a repost saves its original.
+const findBookmarkable = async (postId, user) => {
+  const found = await Post.findById(postId).select('repostOf');
+  return found && loadVisiblePost(found.repostOf || found._id, user);
+};
+
+// @route   GET /api/bookmarks
+// @desc    Get bookmarked posts, newest first (optionally one collection's)
+// @access  Private
+router.get('/', auth, [
+  query('collection')
+    .optional()
+    .isMongoId()
+    .withMessage('Collection must be a collection ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.collection) {
+      const collection = await findOwnCollection(req.query.collection, req.user._id);
+      if (!collection) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+      filter.collections = collection._id;
+    }
+
+    const bookmarks = await Bookmark.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'post',
+        populate: { path: 'author', select: 'username firstName lastName profilePicture' }
+      });
+
+    const total = await Bookmark.countDocuments(filter);
+
+    // Saved posts the user can no longer see are left out, but stay saved
+    // in case that changes
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const saved = bookmarks.filter(bookmark => bookmark.post && bookmark.post.author);
+    const visibleAuthors = await getVisibleAuthorIds(
+      req.user,
+      saved.map(bookmark => bookmark.post.author._id),
+      hiddenIds
+    );
+    const inAudience = await getAudienceCheck(req.user);
+    const visible = saved.filter(({ post }) =>
+      visibleAuthors.has(post.author._id.toString()) && inAudience(post)
+    );
+
+    const posts = await preparePosts(visible.map(bookmark => bookmark.post), req.user, hiddenIds);
+    const collectionsByPost = new Map(visible.map(bookmark => [
+      bookmark.post._id.toString(),
+      bookmark.collections
+    ]));
+
+    res.json({
+      posts: posts.map(post => ({
+        ...post,
+        bookmarkCollections: collectionsByPost.get(post._id.toString())
+      })),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPosts: total
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/bookmarks/collections
+// @desc    Get the user's collections with how many posts each holds
+// @access  Private
+router.get('/collections', auth, async (req, res) => {
+  try {
+    const collections = await BookmarkCollection.find({ user: req.user._id })
+      .sort({ createdAt: 1 });
+
+    const counts = await Bookmark.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: '$collections' },
+      { $group: { _id: '$collections', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      collections: collections.map(collection => ({
+        _id: collection._id,
+        name: collection.name,
+        createdAt: collection.createdAt,
+        postCount: countById.get(collection._id.toString()) || 0
+      })),
+      totalBookmarks: await Bookmark.countDocuments({ user: req.user._id })
+    });
+  } catch (error) {
+    console.error('Get bookmark collections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bookmarks/collections
+// @desc    Create a collection
+// @access  Private
+router.post('/collections', auth, collectionNameRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    if (await BookmarkCollection.exists({ user: req.user._id, name })) {
+      return res.status(400).json({ message: 'You already have a collection with this name' });
+    }
+
+    const collection = new BookmarkCollection({ user: req.user._id, name });
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      collection: { ...collection.toJSON(), postCount: 0 }
+    });
+  } catch (error) {
+    console.error('Create bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/bookmarks/collections/:collectionId
+// @desc    Rename a collection
+// @access  Private
+router.put('/collections/:collectionId', auth, collectionNameRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const collection = await findOwnCollection(req.params.collectionId, req.user._id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const { name } = req.body;
+    const taken = await BookmarkCollection.exists({
+      user: req.user._id,
+      name,
+      _id: { $ne: collection._id }
+    });
+    if (taken) {
+      return res.status(400).json({ message: 'You already have a collection with this name' });
+    }
+
+    collection.name = name;
+    await collection.save();
+
+    res.json({
+      message: 'Collection renamed successfully',
+      collection
+    });
+  } catch (error) {
+    console.error('Rename bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/collections/:collectionId
+// @desc    Delete a collection (its posts stay bookmarked)
+// @access  Private
+router.delete('/collections/:collectionId', auth, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.collectionId, req.user._id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    await BookmarkCollection.findByIdAndDelete(collection._id);
+    await Bookmark.updateMany(
+      { user: req.user._id, collections: collection._id },
+      { $pull: { collections: collection._id } }
+    );
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Delete bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bookmarks/collections/:collectionId/posts/:postId
+// @desc    Add a post to a collection, bookmarking it if it isn't yet
+// @access  Private
+router.post('/collections/:collectionId/posts/:postId', auth, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.collectionId, req.user._id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const post = await findBookmarkable(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, post: post._id },
+      { $addToSet: { collections: collection._id } },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      message: `Added to ${collection.name}`,
+      bookmark
+    });
+  } catch (error) {
+    console.error('Add to bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/collections/:collectionId/posts/:postId
+// @desc    Take a post out of a collection (it stays bookmarked)
+// @access  Private
+router.delete('/collections/:collectionId/posts/:postId', auth, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.collectionId, req.user._id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, post: req.params.postId },
+      { $pull: { collections: collection._id } },
+      { new: true }
+    );
+    if (!bookmark) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    res.json({
+      message: `Removed from ${collection.name}`,
+      bookmark
+    });
+  } catch (error) {
+    console.error('Remove from bookmark collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bookmarks/:postId
+// @desc    Bookmark a post (bookmarking a repost saves the original)
+// @access  Private
+router.post('/:postId', auth, async (req, res) => {
+  try {
+    const post = await findBookmarkable(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, post: post._id },
+      {},
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      message: 'Post bookmarked',
+      bookmark
+    });
+  } catch (error) {
+    console.error('Bookmark post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/:postId
+// @desc    Remove a bookmark, taking the post out of every collection
+// @access  Private
+router.delete('/:postId', auth, async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({
+      user: req.user._id,
+      post: req.params.postId
+    });
+    if (!bookmark) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    res.json({ message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Draft = require('../models/Draft');
+const auth = require('../middleware/auth');
+const { MAX_POLL_OPTIONS } = require('../utils/polls');
+const { POLL_DURATION_HOURS, checkDraft } = require('../utils/drafts');
+const { MAX_THREAD_POSTS } = require('../utils/threads');
+const { AUDIENCES } = require('../utils/audience');
+
+const router = express.Router();
+
+// Drafts are saved as they're typed, so everything but the limits is optional
+const draftRules = [
+  body('content')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('thread')
+    .optional()
+    .isArray({ max: MAX_THREAD_POSTS - 1 })
+    .withMessage(`A thread can have at most ${MAX_THREAD_POSTS} posts`),
+  body('thread.*')
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('images')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('A post can have at most 4 images'),
+  body('images.*')
+    .isString()
+    .withMessage('Image must be a URL'),
+  body('location')
+    .optional()
+    .isString()
+    .withMessage('Location must be text'),
+  body('audience')
+    .optional()
+    .isIn(AUDIENCES)
+    .withMessage(`Audience must be one of: ${AUDIENCES.join(', ')}`),
+  body('poll')
+    .optional({ nullable: true })
+    .custom(poll => {
+      if (typeof poll !== 'object' || !Array.isArray(poll.options)
+        || poll.options.length > MAX_POLL_OPTIONS
+        || poll.options.some(option => typeof option !== 'string' || option.length > 100)) {
+        throw new Error(`A poll can have up to ${MAX_POLL_OPTIONS} options of at most 100 characters`);
+      }
+      if (poll.durationHours !== undefined && !POLL_DURATION_HOURS.includes(poll.durationHours)) {
+        throw new Error('Poll duration is not one of the allowed lengths');
+      }
+      return true;
+    }),
+  body('scheduledFor')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled time must be a date')
+    .custom(scheduledFor => {
+      if (new Date(scheduledFor) <= new Date()) {
+        throw new Error('Scheduled time must be in the future');
+      }
+      return true;
+    })
+];
+
+// Copy the fields sent in the request onto the draft
+const applyDraftFields = (draft, fields) => {
+  ['content', 'thread', 'images', 'location', 'audience'].forEach(field => {
+    if (fields[field] !== undefined) draft[field] = fields[field];
+  });
+  if (fields.poll !== undefined) {
+    draft.poll = fields.poll && {
+      options: fields.poll.options,
+      multipleChoice: Boolean(fields.poll.multipleChoice),
+      durationHours: fields.poll.durationHours || 24
+    };
+  }
+  if (fields.scheduledFor !== undefined) {
+    draft.scheduledFor = fields.scheduledFor ? new Date(fields.scheduledFor) : null;
+  }
+  // Any edit is a fresh attempt, so the last failure no longer applies
+  draft.publishError = null;
+};
+
+// A draft can only be scheduled if it could be published as it stands.
+// Sends the error response and returns false if it can't. Autosaves of an
+// already scheduled draft aren't checked; if it can't publish when the time
+// comes it is unscheduled with the reason.
+const checkSchedule = (draft, user, res) => {
+  if (!user.emailVerified) {
+    res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+    return false;
+  }
+
+  const problem = checkDraft(draft, draft.scheduledFor);
+  if (problem) {
+    res.status(400).json({ message: problem });
+    return false;
+  }
+  return true;
+};
+
+// @route   GET /api/drafts
+// @desc    Get the user's drafts and scheduled posts, most recently edited first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { author: req.user._id };
+    const drafts = await Draft.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Draft.countDocuments(filter);
+
+    res.json({
+      drafts,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDrafts: total
+    });
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/drafts/:id
+// @desc    Get one of the user's drafts
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const draft = await Draft.findOne({ _id: req.params.id, author: req.user._id });
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json({ draft });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/drafts
+// @desc    Save a new draft, optionally scheduled to publish later
+// @access  Private
+router.post('/', auth, draftRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = new Draft({ author: req.user._id });
+    applyDraftFields(draft, req.body);
+    if (req.body.scheduledFor && !checkSchedule(draft, req.user, res)) return;
+
+    await draft.save();
+
+    res.json({ draft });
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/drafts/:id
+// @desc    Update a draft, or schedule or unschedule it
+// @access  Private
+router.put('/:id', auth, draftRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = await Draft.findOne({ _id: req.params.id, author: req.user._id });
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    applyDraftFields(draft, req.body);
+    if (req.body.scheduledFor && !checkSchedule(draft, req.user, res)) return;
+
+    await draft.save();
+
+    res.json({ draft });
+  } catch (error) {
+    console.error('Update draft error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/drafts/:id
+// @desc    Delete a draft
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const draft = await Draft.findOneAndDelete({ _id: req.params.id, author: req.user._id });
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json({ message: 'Draft deleted successfully' });
+  } catch (error) {
+    console.error('Delete draft error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { getHiddenUserIds, getExcludedAuthorIds } = require('../utils/blocking');
+const { preparePosts } = require('../utils/posts');
+const { audienceFilter } = require('../utils/audience');
 
 const router = express.Router();
 
@@ -18,45 +21,45 @@ router.get('/', auth, async (req, res) => {
     const user = await User.findById(req.user._id).populate('following');
     const followingIds = user.following.map(f => f._id);
 
-    // Get posts from users the current user follows (70% of feed)
+    // Blocked and muted users and private accounts the user doesn't follow
+    // never show up in the feed, nor posts that weren't shared with this user
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const excludedIds = await getExcludedAuthorIds(req.user, hiddenIds);
+    const audience = await audienceFilter(req.user);
+
+    // Get posts from users the current user follows, including what they
+    // reposted, with each thread shown through its first post (70% of feed)
     const followingPostsCount = Math.floor(limit * 0.7);
     const followingPosts = await Post.find({
-      author: { $in: followingIds },
-      isPublic: true
+      author: { $in: followingIds, $nin: excludedIds },
+      ...audience,
+      threadRoot: null
     })
     .sort({ createdAt: -1 })
     .limit(followingPostsCount)
-    .populate('author', 'username firstName lastName profilePicture')
-    .populate('likes', 'username firstName lastName')
-    .populate('comments.user', 'username firstName lastName profilePicture');
+    .populate('author', 'username firstName lastName profilePicture');
 
     // Get recommended posts based on user's interests (30% of feed)
     const recommendedPostsCount = limit - followingPosts.length;
     let recommendedPosts = [];
 
     if (recommendedPostsCount > 0) {
-      // Get posts liked by people the user follows
+      // Get posts people the user follows have reacted to
       const postsLikedByFollowing = await Post.aggregate([
         {
           $match: {
             _id: { $nin: followingPosts.map(p => p._id) },
-            author: { $nin: [req.user._id, ...followingIds] },
-            isPublic: true
-          }
-        },
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'likes',
-            foreignField: '_id',
-            as: 'likedByUsers'
+            author: { $nin: [req.user._id, ...followingIds, ...excludedIds] },
+            ...audience,
+            repostOf: null,
+            threadRoot: null
           }
         },
         {
           $addFields: {
             likedByFollowing: {
               $size: {
-                $setIntersection: ['$likedByUsers._id', followingIds]
+                $setIntersection: ['$reactions.user', followingIds]
               }
             }
           }
@@ -77,9 +80,7 @@ router.get('/', auth, async (req, res) => {
       // Populate the recommended posts
       if (postsLikedByFollowing.length > 0) {
         recommendedPosts = await Post.populate(postsLikedByFollowing, [
-          { path: 'author', select: 'username firstName lastName profilePicture' },
-          { path: 'likes', select: 'username firstName lastName' },
-          { path: 'comments.user', select: 'username firstName lastName profilePicture' }
+          { path: 'author', select: 'username firstName lastName profilePicture' }
         ]);
       }
 
@@ -90,16 +91,18 @@ router.get('/', auth, async (req, res) => {
           {
             $match: {
               _id: { $nin: [...followingPosts.map(p => p._id), ...recommendedPosts.map(p => p._id)] },
-              author: { $nin: [req.user._id, ...followingIds] },
-              isPublic: true
+              author: { $nin: [req.user._id, ...followingIds, ...excludedIds] },
+              ...audience,
+              repostOf: null,
+              threadRoot: null
             }
           },
           {
             $addFields: {
               engagementScore: {
                 $add: [
-                  { $size: '$likes' },
-                  { $multiply: [{ $size: '$comments' }, 2] } // Comments worth 2x likes
+                  { $size: '$reactions' },
+                  { $multiply: ['$commentCount', 2] } // Comments worth 2x reactions
                 ]
               }
             }
@@ -114,23 +117,28 @@ router.get('/', auth, async (req, res) => {
 
         if (popularPosts.length > 0) {
           const populatedPopularPosts = await Post.populate(popularPosts, [
-            { path: 'author', select: 'username firstName lastName profilePicture' },
-            { path: 'likes', select: 'username firstName lastName' },
-            { path: 'comments.user', select: 'username firstName lastName profilePicture' }
+            { path: 'author', select: 'username firstName lastName profilePicture' }
           ]);
           recommendedPosts = [...recommendedPosts, ...populatedPopularPosts];
         }
       }
     }
 
-    // Combine and sort posts by engagement and recency
-    const allPosts = [...followingPosts, ...recommendedPosts];
+    // Combine, showing each post once however many people reposted it,
+    // then sort by engagement and recency
+    const shownIds = new Set();
+    const allPosts = [...followingPosts, ...recommendedPosts].filter(post => {
+      const shownId = (post.repostOf || post._id).toString();
+      if (shownIds.has(shownId)) return false;
+      shownIds.add(shownId);
+      return true;
+    });
     
     // Sort by a combination of engagement and recency
     allPosts.sort((a, b) => {
-      const aScore = (a.likes.length + a.comments.length * 2) * 0.3 + 
+      const aScore = (a.reactions.length + a.commentCount * 2) * 0.3 + 
                      (new Date(a.createdAt).getTime() / 1000000) * 0.7;
-      const bScore = (b.likes.length + b.comments.length * 2) * 0.3 + 
+      const bScore = (b.reactions.length + b.commentCount * 2) * 0.3 + 
                      (new Date(b.createdAt).getTime() / 1000000) * 0.7;
       return bScore - aScore;
     });
@@ -140,7 +148,7 @@ router.get('/', auth, async (req, res) => {
     const total = allPosts.length;
 
     res.json({
-      posts: paginatedPosts,
+      posts: await preparePosts(paginatedPosts, req.user, hiddenIds),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalPosts: total,
@@ -162,16 +170,26 @@ router.get('/trending', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    // Blocked and muted users and private accounts the user doesn't follow
+    // never show up in the feed, nor posts that weren't shared with this user
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const trendingFilter = {
+      ...await audienceFilter(req.user),
+      repostOf: null,
+      threadRoot: null,
+      author: { $nin: await getExcludedAuthorIds(req.user, hiddenIds) }
+    };
+
     const trendingPosts = await Post.aggregate([
       {
-        $match: { isPublic: true }
+        $match: trendingFilter
       },
       {
         $addFields: {
           engagementScore: {
             $add: [
-              { $size: '$likes' },
-              { $multiply: [{ $size: '$comments' }, 2] }
+              { $size: '$reactions' },
+              { $multiply: ['$commentCount', 2] }
             ]
           },
           // Boost recent posts slightly
@@ -206,15 +224,13 @@ router.get('/trending', auth, async (req, res) => {
 
     // Populate the posts
     const populatedPosts = await Post.populate(trendingPosts, [
-      { path: 'author', select: 'username firstName lastName profilePicture' },
-      { path: 'likes', select: 'username firstName lastName' },
-      { path: 'comments.user', select: 'username firstName lastName profilePicture' }
+      { path: 'author', select: 'username firstName lastName profilePicture' }
     ]);
 
-    const total = await Post.countDocuments({ isPublic: true });
+    const total = await Post.countDocuments(trendingFilter);
 
     res.json({
-      posts: populatedPosts,
+      posts: await preparePosts(populatedPosts, req.user, hiddenIds),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalPosts: total,
@@ -240,12 +256,20 @@ router.get('/discover', auth, async (req, res) => {
     const user = await User.findById(req.user._id);
     const followingIds = user.following;
 
+    // Blocked and muted users and private accounts the user doesn't follow
+    // never show up in the feed, nor posts that weren't shared with this user
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const excludedIds = await getExcludedAuthorIds(req.user, hiddenIds);
+    const discoverFilter = {
+      author: { $nin: [req.user._id, ...followingIds, ...excludedIds] },
+      repostOf: null,
+      threadRoot: null,
+      ...await audienceFilter(req.user)
+    };
+
     const discoverPosts = await Post.aggregate([
       {
-        $match: {
-          author: { $nin: [req.user._id, ...followingIds] },
-          isPublic: true
-        }
+        $match: discoverFilter
       },
       {
         $lookup: {
@@ -265,8 +289,8 @@ router.get('/discover', auth, async (req, res) => {
           // Score based on author popularity and post engagement
           discoveryScore: {
             $add: [
-              { $multiply: [{ $size: '$likes' }, 0.4] },
-              { $multiply: [{ $size: '$comments' }, 0.3] },
+              { $multiply: [{ $size: '$reactions' }, 0.4] },
+              { $multiply: ['$commentCount', 0.3] },
               { $multiply: [{ $size: '$authorFollowers' }, 0.3] }
             ]
           }
@@ -285,18 +309,13 @@ router.get('/discover', auth, async (req, res) => {
 
     // Populate the posts
     const populatedPosts = await Post.populate(discoverPosts, [
-      { path: 'author', select: 'username firstName lastName profilePicture' },
-      { path: 'likes', select: 'username firstName lastName' },
-      { path: 'comments.user', select: 'username firstName lastName profilePicture' }
+      { path: 'author', select: 'username firstName lastName profilePicture' }
     ]);
 
-    const total = await Post.countDocuments({
-      author: { $nin: [req.user._id, ...followingIds] },
-      isPublic: true
-    });
+    const total = await Post.countDocuments(discoverFilter);
 
     res.json({
-      posts: populatedPosts,
+      posts: await preparePosts(populatedPosts, req.user, hiddenIds),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalPosts: total,
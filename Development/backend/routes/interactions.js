@@ -1,72 +1,74 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { getHiddenUserIds, isBlockedBetween } = require('../utils/blocking');
+const { notifyUser } = require('../utils/notifications');
+const { loadVisiblePost } = require('../utils/audience');
+const { getEditWindowMinutes, canEditComment } = require('../utils/comments');
+const { REACTION_TYPES, countReactions } = require('../utils/reactions');
+const PollVote = require('../models/PollVote');
+const { isPollClosed, viewPoll, countVotes } = require('../utils/polls');
 
 const router = express.Router();
 
+// Set the user's reaction to a post, or clear it when type is null. Keeps
+// likedPosts in step and tells the author about first reactions only, so
+// switching between reactions doesn't notify them again.
+const updateReaction = async (post, userId, type) => {
+  const previous = post.getReaction(userId);
+
+  if (type) {
+    await post.setReaction(userId, type);
+  } else {
+    await post.removeReaction(userId);
+  }
+
+  // likedPosts holds the posts the user reacted to with 'like'
+  if (previous === 'like' && type !== 'like') {
+    await User.findByIdAndUpdate(userId, { $pull: { likedPosts: post._id } });
+  } else if (type === 'like' && previous !== 'like') {
+    await User.findByIdAndUpdate(userId, { $addToSet: { likedPosts: post._id } });
+  }
+
+  if (type && !previous && !post.author.equals(userId)) {
+    await notifyUser(post.author, {
+      type: type === 'like' ? 'like' : 'reaction',
+      from: userId,
+      post: post._id,
+      reaction: type
+    });
+  }
+};
+
 // @route   POST /api/interactions/like/:postId
-// @desc    Like or unlike a post
+// @desc    Like or unlike a post (the 'like' reaction)
 // @access  Private
-router.post('/like/:postId', auth, async (req, res) => {
+router.post('/like/:postId', auth, rateLimit('like'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await loadVisiblePost(req.params.postId, req.user);
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    const isLiked = post.likes.includes(req.user._id);
-    let message;
-
-    if (isLiked) {
-      // Unlike
-      await post.removeLike(req.user._id);
-      message = 'Post unliked successfully';
-      
-      // Remove from user's likedPosts
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $pull: { likedPosts: post._id } }
-      );
-    } else {
-      // Like
-      await post.addLike(req.user._id);
-      message = 'Post liked successfully';
-      
-      // Add to user's likedPosts
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $push: { likedPosts: post._id } }
-      );
-
-      // Create notification for post author (if not liking own post)
-      if (post.author.toString() !== req.user._id.toString()) {
-        await User.findByIdAndUpdate(
-          post.author,
-          {
-            $push: {
-              notifications: {
-                type: 'like',
-                from: req.user._id,
-                post: post._id
-              }
-            }
-          }
-        );
-      }
-    }
+    // Liking replaces any other reaction; unliking clears it
+    const isLiked = post.getReaction(req.user._id) === 'like';
+    await updateReaction(post, req.user._id, isLiked ? null : 'like');
 
     // Get updated post
     const updatedPost = await Post.findById(req.params.postId)
-      .populate('author', 'username firstName lastName profilePicture')
-      .populate('likes', 'username firstName lastName')
-      .populate('comments.user', 'username firstName lastName profilePicture');
+      .populate('author', 'username firstName lastName profilePicture');
 
     res.json({ 
-      message, 
+      message: isLiked ? 'Post unliked successfully' : 'Post liked successfully', 
       post: updatedPost,
-      isLiked: !isLiked 
+      isLiked: !isLiked,
+      reaction: isLiked ? null : 'like'
     });
 
   } catch (error) {
@@ -75,10 +77,187 @@ router.post('/like/:postId', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/interactions/react/:postId
+// @desc    React to a post, replacing any earlier reaction
+// @access  Private
+router.post('/react/:postId', auth, rateLimit('like'), [
+  body('type')
+    .isIn(REACTION_TYPES)
+    .withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await loadVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await updateReaction(post, req.user._id, req.body.type);
+
+    const updatedPost = await Post.findById(req.params.postId)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    res.json({
+      message: 'Reaction saved',
+      post: updatedPost,
+      reaction: req.body.type
+    });
+
+  } catch (error) {
+    console.error('React to post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/interactions/react/:postId
+// @desc    Remove your reaction from a post
+// @access  Private
+router.delete('/react/:postId', auth, rateLimit('like'), async (req, res) => {
+  try {
+    const post = await loadVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await updateReaction(post, req.user._id, null);
+
+    const updatedPost = await Post.findById(req.params.postId)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    res.json({
+      message: 'Reaction removed',
+      post: updatedPost,
+      reaction: null
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/interactions/reactions/:postId
+// @desc    Get who reacted to a post, optionally of one type, newest first
+// @access  Private
+router.get('/reactions/:postId', auth, [
+  query('type')
+    .optional()
+    .isIn(REACTION_TYPES)
+    .withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    // Same visibility rule as the post itself
+    const post = await loadVisiblePost(req.params.postId, req.user, 'author audience reactions');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    // Leave out blocked and muted users
+    const hidden = new Set((await getHiddenUserIds(req.user)).map(id => id.toString()));
+    const visible = post.reactions.filter(reaction => !hidden.has(reaction.user.toString()));
+    const matching = visible
+      .filter(reaction => !req.query.type || reaction.type === req.query.type)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const pageReactions = matching.slice(skip, skip + limit);
+    const users = await User.find({ _id: { $in: pageReactions.map(r => r.user) } })
+      .select('username firstName lastName profilePicture');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      reactions: pageReactions
+        .filter(reaction => usersById.has(reaction.user.toString()))
+        .map(reaction => ({
+          user: usersById.get(reaction.user.toString()),
+          type: reaction.type,
+          createdAt: reaction.createdAt
+        })),
+      counts: countReactions(visible),
+      currentPage: page,
+      totalPages: Math.ceil(matching.length / limit),
+      totalReactions: matching.length
+    });
+
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/interactions/poll/:postId/vote
+// @desc    Vote in a post's poll (once; pick one option unless it allows several)
+// @access  Private
+router.post('/poll/:postId/vote', auth, rateLimit('vote'), [
+  body('options')
+    .isArray({ min: 1 })
+    .withMessage('Pick at least one option'),
+  body('options.*')
+    .isInt({ min: 0 })
+    .withMessage('Options must be option numbers')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same visibility rule as the post itself
+    const post = await loadVisiblePost(req.params.postId, req.user, 'author audience poll');
+    if (!post || !post.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (isPollClosed(post.poll)) {
+      return res.status(400).json({ message: 'This poll has closed' });
+    }
+
+    const options = [...new Set(req.body.options.map(Number))].sort((a, b) => a - b);
+    if (options.some(option => option >= post.poll.options.length)) {
+      return res.status(400).json({ message: 'That option is not in this poll' });
+    }
+    if (!post.poll.multipleChoice && options.length > 1) {
+      return res.status(400).json({ message: 'This poll allows only one choice' });
+    }
+
+    try {
+      await PollVote.create({ post: post._id, user: req.user._id, options });
+    } catch (error) {
+      // The unique index catches a second vote that raced the first
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'You have already voted in this poll' });
+      }
+      throw error;
+    }
+
+    const tallies = await countVotes([post._id]);
+
+    res.json({
+      message: 'Vote recorded',
+      poll: viewPoll(post.poll, options, tallies.get(post._id.toString()), post.author.equals(req.user._id))
+    });
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/interactions/comment/:postId
 // @desc    Add a comment to a post
 // @access  Private
-router.post('/comment/:postId', auth, [
+router.post('/comment/:postId', auth, requireVerifiedEmail, rateLimit('comment'), [
   body('content')
     .notEmpty()
     .withMessage('Comment content is required')
@@ -91,42 +270,47 @@ router.post('/comment/:postId', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const post = await Post.findById(req.params.postId);
+    // Only people who can see the post can comment on it
+    const post = await loadVisiblePost(req.params.postId, req.user);
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
     const { content } = req.body;
+    const mentions = await resolveMentions(content);
 
     // Add comment to post
-    await post.addComment(req.user._id, content);
+    const comment = await Comment.createForPost(post._id, req.user._id, content, mentions);
 
     // Create notification for post author (if not commenting on own post)
     if (post.author.toString() !== req.user._id.toString()) {
-      await User.findByIdAndUpdate(
-        post.author,
-        {
-          $push: {
-            notifications: {
-              type: 'comment',
-              from: req.user._id,
-              post: post._id,
-              content: content.substring(0, 100) // Store first 100 chars of comment
-            }
-          }
-        }
-      );
+      await notifyUser(post.author, {
+        type: 'comment',
+        from: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        content: content.substring(0, 100) // Store first 100 chars of comment
+      });
     }
 
+    await notifyMentions({
+      userIds: mentions,
+      from: req.user._id,
+      post: post._id,
+      comment: comment._id,
+      content
+    });
+
     // Get updated post
     const updatedPost = await Post.findById(req.params.postId)
-      .populate('author', 'username firstName lastName profilePicture')
-      .populate('likes', 'username firstName lastName')
-      .populate('comments.user', 'username firstName lastName profilePicture');
+      .populate('author', 'username firstName lastName profilePicture');
+
+    await comment.populate('user', 'username firstName lastName profilePicture');
 
     res.json({ 
       message: 'Comment added successfully',
-      post: updatedPost
+      post: updatedPost,
+      comment
     });
 
   } catch (error) {
@@ -135,6 +319,226 @@ router.post('/comment/:postId', auth, [
   }
 });
 
+// @route   POST /api/interactions/comment/:postId/:commentId/reply
+// @desc    Reply to a comment on a post
+// @access  Private
+router.post('/comment/:postId/:commentId/reply', auth, requireVerifiedEmail, rateLimit('comment'), [
+  body('content')
+    .notEmpty()
+    .withMessage('Reply content is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reply content cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only people who can see the post can reply on it
+    const post = await loadVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const parentComment = await Comment.findOne({ _id: req.params.commentId, post: post._id });
+    if (!parentComment || await isBlockedBetween(req.user._id, parentComment.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const { content } = req.body;
+    const mentions = await resolveMentions(content);
+
+    const reply = await Comment.createForPost(post._id, req.user._id, content, mentions, parentComment);
+
+    const notification = {
+      from: req.user._id,
+      post: post._id,
+      comment: reply._id,
+      content: content.substring(0, 100)
+    };
+
+    // Tell the person being replied to, and the post author as for any comment
+    if (!parentComment.user.equals(req.user._id)) {
+      await notifyUser(parentComment.user, { type: 'reply', ...notification });
+    }
+    if (!post.author.equals(req.user._id) && !post.author.equals(parentComment.user)) {
+      await notifyUser(post.author, { type: 'comment', ...notification });
+    }
+
+    await notifyMentions({
+      userIds: mentions,
+      from: req.user._id,
+      post: post._id,
+      comment: reply._id,
+      content
+    });
+
+    // Get updated post
+    const updatedPost = await Post.findById(req.params.postId)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    await reply.populate('user', 'username firstName lastName profilePicture');
+
+    res.json({
+      message: 'Reply added successfully',
+      post: updatedPost,
+      comment: reply
+    });
+
+  } catch (error) {
+    console.error('Add reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/interactions/comment/:postId/:commentId/like
+// @desc    Like or unlike a comment
+// @access  Private
+router.post('/comment/:postId/:commentId/like', auth, rateLimit('like'), async (req, res) => {
+  try {
+    const post = await loadVisiblePost(req.params.postId, req.user, 'author audience');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id });
+    if (!comment || await isBlockedBetween(req.user._id, comment.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const isLiked = await Comment.toggleLike(comment._id, req.user._id);
+    if (isLiked === null) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Create notification for comment author (if not liking own comment)
+    if (isLiked && !comment.user.equals(req.user._id)) {
+      await notifyUser(comment.user, {
+        type: 'comment_like',
+        from: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        content: comment.content.substring(0, 100)
+      });
+    }
+
+    const { likeCount } = await Comment.findById(comment._id).select('likeCount');
+
+    res.json({
+      message: isLiked ? 'Comment liked successfully' : 'Comment unliked successfully',
+      isLiked,
+      likeCount
+    });
+
+  } catch (error) {
+    console.error('Like comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/interactions/comment/:postId/:commentId
+// @desc    Edit a comment (author only, shortly after posting)
+// @access  Private
+router.put('/comment/:postId/:commentId', auth, [
+  body('content')
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 1000 })
+    .withMessage('Comment content cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Comments can only be edited on posts the user can still see
+    const post = await loadVisiblePost(req.params.postId, req.user, 'author audience');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id })
+      .select('+editHistory');
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.user.equals(req.user._id)) {
+      return res.status(401).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    if (!canEditComment(comment, req.user._id)) {
+      const minutes = getEditWindowMinutes();
+      return res.status(403).json({
+        message: `Comments can only be edited within ${minutes} ${minutes === 1 ? 'minute' : 'minutes'} of posting`
+      });
+    }
+
+    const { content } = req.body;
+    if (content !== comment.content) {
+      // Only users who were not already mentioned get a new notification
+      const mentions = await resolveMentions(content);
+      const newMentions = mentions.filter(id => !comment.mentions.some(m => m.equals(id)));
+
+      await comment.edit(content, mentions);
+
+      await notifyMentions({
+        userIds: newMentions,
+        from: req.user._id,
+        post: comment.post,
+        comment: comment._id,
+        content
+      });
+    }
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: {
+        _id: comment._id,
+        content: comment.content,
+        editedAt: comment.editedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/interactions/comment/:postId/:commentId/history
+// @desc    Get the earlier versions of an edited comment
+// @access  Private
+router.get('/comment/:postId/:commentId/history', auth, async (req, res) => {
+  try {
+    // Same visibility rule as the post itself
+    const post = await loadVisiblePost(req.params.postId, req.user, 'author audience');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id })
+      .select('+editHistory');
+    if (!comment || await isBlockedBetween(req.user._id, comment.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Newest first, starting with the current version
+    const versions = [
+      { content: comment.content, createdAt: comment.editedAt || comment.createdAt, current: true },
+      ...comment.editHistory.map(({ content, createdAt }) => ({ content, createdAt })).reverse()
+    ];
+
+    res.json({ versions });
+
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/interactions/comment/:postId/:commentId
 // @desc    Delete a comment from a post
 // @access  Private
@@ -145,7 +549,7 @@ router.delete('/comment/:postId/:commentId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    const comment = post.comments.id(req.params.commentId);
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id });
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
@@ -156,15 +560,12 @@ router.delete('/comment/:postId/:commentId', auth, async (req, res) => {
       return res.status(401).json({ message: 'Not authorized to delete this comment' });
     }
 
-    // Remove comment
-    comment.remove();
-    await post.save();
+    // Remove the comment and any replies to it
+    await Comment.removeThreads([comment._id]);
 
     // Get updated post
     const updatedPost = await Post.findById(req.params.postId)
-      .populate('author', 'username firstName lastName profilePicture')
-      .populate('likes', 'username firstName lastName')
-      .populate('comments.user', 'username firstName lastName profilePicture');
+      .populate('author', 'username firstName lastName profilePicture');
 
     res.json({ 
       message: 'Comment deleted successfully',
@@ -186,24 +587,34 @@ router.get('/notifications', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const user = await User.findById(req.user._id)
-      .populate({
-        path: 'notifications',
-        populate: [
-          { path: 'from', select: 'username firstName lastName profilePicture' },
-          { path: 'post', select: 'content' }
-        ],
-        options: {
-          sort: { createdAt: -1 },
-          skip: skip,
-          limit: limit
+    // Leave out notifications from blocked and muted users, before paging
+    // so the page and the total agree
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const [result] = await User.aggregate([
+      { $match: { _id: req.user._id } },
+      { $unwind: '$notifications' },
+      { $match: { 'notifications.from': { $nin: hiddenIds } } },
+      { $sort: { 'notifications.createdAt': -1 } },
+      {
+        $facet: {
+          page: [
+            { $skip: skip },
+            { $limit: limit },
+            { $replaceRoot: { newRoot: '$notifications' } }
+          ],
+          total: [{ $count: 'count' }]
         }
-      });
+      }
+    ]);
 
-    const total = user.notifications.length;
+    const notifications = await User.populate(result.page, [
+      { path: 'from', select: 'username firstName lastName profilePicture', model: 'User' },
+      { path: 'post', select: 'content', model: 'Post' }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
 
     res.json({
-      notifications: user.notifications,
+      notifications,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalNotifications: total
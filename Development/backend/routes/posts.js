@@ -1,20 +1,74 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const PollVote = require('../models/PollVote');
+const Draft = require('../models/Draft');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { buildTags } = require('../utils/hashtags');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { getHiddenUserIds, getExcludedAuthorIds, isBlockedBetween } = require('../utils/blocking');
+const { COMMENT_SORTS, getCommentPage } = require('../utils/comments');
+const { findShareSource, notifyRepost, releaseSources, deleteRepostsOf } = require('../utils/reposts');
+const { validatePoll, buildPoll } = require('../utils/polls');
+const { preparePosts, publishPost, publishThread } = require('../utils/posts');
+const { MAX_THREAD_POSTS, isInThread, getThread, removeFromThread, setThreadAudience } = require('../utils/threads');
+const { AUDIENCES, audienceFilter, getAudienceCheck, loadVisiblePost } = require('../utils/audience');
+const { getThumbnailUrl } = require('../utils/images');
 
 const router = express.Router();
 
 // @route   POST /api/posts
-// @desc    Create a new post
+// @desc    Create a new post, or a thread of posts (`thread` holds the text
+//          of the posts after this one)
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requireVerifiedEmail, rateLimit('createPost'), [
   body('content')
     .notEmpty()
     .withMessage('Post content is required')
     .isLength({ max: 5000 })
-    .withMessage('Post content cannot exceed 5000 characters')
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('images')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('A post can have at most 4 images'),
+  body('images.*')
+    .isString()
+    .withMessage('Image must be a URL'),
+  body('quoteOf')
+    .optional()
+    .isMongoId()
+    .withMessage('Quoted post must be a post ID'),
+  body('audience')
+    .optional()
+    .isIn(AUDIENCES)
+    .withMessage(`Audience must be one of: ${AUDIENCES.join(', ')}`),
+  body('draftId')
+    .optional()
+    .isMongoId()
+    .withMessage('Draft must be a draft ID'),
+  body('thread')
+    .optional()
+    .isArray({ max: MAX_THREAD_POSTS - 1 })
+    .withMessage(`A thread can have at most ${MAX_THREAD_POSTS} posts`),
+  body('thread.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Every post in a thread needs content')
+    .isLength({ max: 5000 })
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('poll')
+    .optional()
+    .custom(poll => {
+      const message = validatePoll(poll);
+      if (message) throw new Error(message);
+      return true;
+    })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -22,29 +76,42 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { content, images, tags, location, isPublic } = req.body;
+    const { content, images, tags, location, audience, quoteOf, poll, draftId, thread } = req.body;
 
-    const post = new Post({
-      author: req.user._id,
-      content,
-      images: images || [],
-      tags: tags || [],
-      location: location || '',
-      isPublic: isPublic !== undefined ? isPublic : true
-    });
-
-    await post.save();
+    // A quote post embeds the original it quotes
+    let source = null;
+    if (quoteOf) {
+      source = await findShareSource(quoteOf, req.user);
+      if (!source) {
+        return res.status(404).json({ message: 'Quoted post not found' });
+      }
+    }
 
-    // Add post to user's posts array
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { $push: { posts: post._id } }
-    );
+    const first = {
+      content,
+      images,
+      tags,
+      location,
+      audience,
+      source,
+      poll: poll ? buildPoll(poll) : null
+    };
+
+    // A thread goes out as a whole; feeds show it through its first post
+    const [post] = thread && thread.length > 0
+      ? await publishThread(req.user._id, first, thread)
+      : [await publishPost(req.user._id, first)];
+
+    // Publishing from a draft uses it up
+    if (draftId) {
+      await Draft.deleteOne({ _id: draftId, author: req.user._id });
+    }
 
     // Populate author information
     await post.populate('author', 'username firstName lastName profilePicture');
+    const [createdPost] = await preparePosts([post], req.user);
 
-    res.json({ post });
+    res.json({ post: createdPost });
   } catch (error) {
     console.error('Create post error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -60,18 +127,27 @@ router.get('/', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find({ isPublic: true })
+    // Leave out blocked and muted users, private accounts the viewer doesn't
+    // follow, posts not shared with the viewer, and reposts of posts already
+    // listed
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const filter = {
+      repostOf: null,
+      threadRoot: null,
+      author: { $nin: await getExcludedAuthorIds(req.user, hiddenIds) },
+      ...await audienceFilter(req.user)
+    };
+
+    const posts = await Post.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('author', 'username firstName lastName profilePicture')
-      .populate('likes', 'username firstName lastName')
-      .populate('comments.user', 'username firstName lastName profilePicture');
+      .populate('author', 'username firstName lastName profilePicture');
 
-    const total = await Post.countDocuments({ isPublic: true });
+    const total = await Post.countDocuments(filter);
 
     res.json({
-      posts,
+      posts: await preparePosts(posts, req.user, hiddenIds),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalPosts: total
@@ -82,27 +158,216 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/search
+// @desc    Full-text search over posts, ranked by relevance
+// @access  Private
+router.get('/search', auth, [
+  query('q')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Search query must be at least 2 characters'),
+  query('author')
+    .optional()
+    .isString()
+    .withMessage('Author must be a username'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From date must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { q, author, from, to } = req.query;
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const excludedIds = await getExcludedAuthorIds(req.user, hiddenIds);
+
+    const filter = {
+      $text: { $search: q },
+      author: { $nin: excludedIds },
+      ...await audienceFilter(req.user)
+    };
+
+    // Restrict to a single author, looked up by username
+    if (author) {
+      const authorUser = await User.findOne({ username: author.trim() }).select('_id');
+      if (!authorUser || excludedIds.some(id => id.equals(authorUser._id))) {
+        return res.json({
+          posts: [],
+          currentPage: page,
+          totalPages: 0,
+          totalPosts: 0
+        });
+      }
+      filter.author = authorUser._id;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        // A bare date includes the whole of that day
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const posts = await Post.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      posts: await preparePosts(posts, req.user, hiddenIds),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPosts: total
+    });
+  } catch (error) {
+    console.error('Search posts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/posts/:id
-// @desc    Get a specific post
+// @desc    Get a specific post, with the whole thread it's part of
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username firstName lastName profilePicture')
-      .populate('likes', 'username firstName lastName')
-      .populate('comments.user', 'username firstName lastName profilePicture');
-
+    // A repost opens as the post it reshares. Posts the viewer may not see
+    // look like they don't exist.
+    const found = await Post.findById(req.params.id).select('repostOf');
+    const post = found && await loadVisiblePost(found.repostOf || found._id, req.user);
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
+    await post.populate('author', 'username firstName lastName profilePicture');
 
-    res.json({ post });
+    const inAudience = await getAudienceCheck(req.user);
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const [shownPost] = await preparePosts([post], req.user, hiddenIds);
+    const thread = isInThread(post)
+      ? await preparePosts((await getThread(post)).filter(inAudience), req.user, hiddenIds)
+      : null;
+
+    res.json({ post: shownPost, thread });
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/posts/:id/comments
+// @desc    Get a page of a post's comments, or of the replies to one comment
+// @access  Private
+router.get('/:id/comments', auth, [
+  query('sort')
+    .optional()
+    .isIn(Object.keys(COMMENT_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a comment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same visibility rule as the post itself
+    const post = await loadVisiblePost(req.params.id, req.user, 'author audience commentCount');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    // Replies are read oldest first, like a conversation
+    const { parent, cursor } = req.query;
+    const sort = req.query.sort || (parent ? 'oldest' : 'newest');
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Comments from blocked and muted users are left out, which also hides
+    // the replies beneath them since those are fetched through their parent
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const page = await getCommentPage({
+      post: post._id,
+      parent: parent || null,
+      user: { $nin: hiddenIds }
+    }, { sort, cursor, limit, viewerId: req.user._id });
+
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json({
+      comments: page.comments,
+      nextCursor: page.nextCursor,
+      commentCount: post.commentCount
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get every version of a post, newest first
+// @access  Private
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    // Same visibility rule as the post itself
+    const post = await loadVisiblePost(req.params.id, req.user, '+revisions');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const toRevision = ({ content, images, tags, location, createdAt }) => ({
+      content,
+      images,
+      tags,
+      location,
+      createdAt
+    });
+
+    res.json({
+      revisions: [
+        { ...toRevision(post), createdAt: post.editedAt || post.createdAt, current: true },
+        ...post.revisions.map(toRevision).reverse()
+      ]
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/posts/:id
 // @desc    Update a post
 // @access  Private
@@ -111,7 +376,18 @@ router.put('/:id', auth, [
     .notEmpty()
     .withMessage('Post content is required')
     .isLength({ max: 5000 })
-    .withMessage('Post content cannot exceed 5000 characters')
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('images')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('A post can have at most 4 images'),
+  body('images.*')
+    .isString()
+    .withMessage('Image must be a URL'),
+  body('audience')
+    .optional()
+    .isIn(AUDIENCES)
+    .withMessage(`Audience must be one of: ${AUDIENCES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -119,7 +395,7 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('+revisions');
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
@@ -129,18 +405,47 @@ router.put('/:id', auth, [
       return res.status(401).json({ message: 'Not authorized to update this post' });
     }
 
-    const { content, images, tags, location, isPublic } = req.body;
+    if (post.repostOf) {
+      return res.status(400).json({ message: 'Reposts cannot be edited' });
+    }
 
-    post.content = content;
-    if (images !== undefined) post.images = images;
-    if (tags !== undefined) post.tags = tags;
-    if (location !== undefined) post.location = location;
-    if (isPublic !== undefined) post.isPublic = isPublic;
+    const { content, images, tags, location, audience } = req.body;
+
+    // Re-derive tags so hashtags removed from the content are dropped too.
+    // The version being replaced is kept as a revision.
+    post.applyEdit({
+      content,
+      images,
+      tags: buildTags(content, tags),
+      location
+    });
+    post.thumbnails = post.images.map(getThumbnailUrl);
+
+    // Only users who were not already mentioned get a new notification
+    const mentions = await resolveMentions(content);
+    const newMentions = mentions.filter(id => !post.mentions.some(m => m.equals(id)));
+    post.mentions = mentions;
+    if (audience !== undefined) post.audience = audience;
 
     await post.save();
+
+    if (audience !== undefined && isInThread(post)) {
+      await setThreadAudience(post, post.audience);
+    }
+
+    await notifyMentions({
+      userIds: newMentions,
+      from: req.user._id,
+      post: post._id,
+      content
+    });
     await post.populate('author', 'username firstName lastName profilePicture');
 
-    res.json({ post });
+    // Revisions are served on their own
+    const [updatedPost] = await preparePosts([post], req.user);
+    delete updatedPost.revisions;
+
+    res.json({ post: updatedPost });
   } catch (error) {
     console.error('Update post error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -169,6 +474,12 @@ router.delete('/:id', auth, async (req, res) => {
     );
 
     await Post.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+    await PollVote.deleteMany({ post: post._id });
+    await releaseSources([post]);
+    await deleteRepostsOf([post._id]);
+    await removeFromThread(post);
 
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -177,6 +488,87 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/posts/:id/repost
+// @desc    Repost a post to your followers
+// @access  Private
+router.post('/:id/repost', auth, requireVerifiedEmail, rateLimit('createPost'), async (req, res) => {
+  try {
+    const source = await findShareSource(req.params.id, req.user);
+    if (!source) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (await Post.exists({ author: req.user._id, repostOf: source._id })) {
+      return res.status(400).json({ message: 'You have already reposted this post' });
+    }
+
+    const repost = new Post({
+      author: req.user._id,
+      repostOf: source._id,
+      audience: 'public'
+    });
+    await repost.save();
+
+    await User.findByIdAndUpdate(
+      req.user._id,
+      { $push: { posts: repost._id } }
+    );
+    await notifyRepost(source, repost, req.user._id);
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      source._id,
+      { $inc: { repostCount: 1 } },
+      { new: true }
+    ).populate('author', 'username firstName lastName profilePicture');
+
+    res.json({
+      message: 'Post reposted successfully',
+      post: updatedPost,
+      repost
+    });
+  } catch (error) {
+    console.error('Repost error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/repost
+// @desc    Undo your repost of a post
+// @access  Private
+router.delete('/:id/repost', auth, async (req, res) => {
+  try {
+    // Accept the original or any repost of it
+    const found = await Post.findById(req.params.id).select('repostOf');
+    if (!found) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    const sourceId = found.repostOf || found._id;
+
+    const repost = await Post.findOneAndDelete({ author: req.user._id, repostOf: sourceId });
+    if (!repost) {
+      return res.status(400).json({ message: 'You have not reposted this post' });
+    }
+
+    await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { posts: repost._id } }
+    );
+    await releaseSources([repost]);
+
+    const updatedPost = await Post.findById(sourceId)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    res.json({
+      message: 'Repost removed successfully',
+      post: updatedPost,
+      repostId: repost._id
+    });
+  } catch (error) {
+    console.error('Undo repost error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/posts/user/:userId
 // @desc    Get posts by a specific user
 // @access  Private
@@ -186,24 +578,36 @@ router.get('/user/:userId', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find({ 
+    const author = await User.findById(req.params.userId).select('isPrivate followers');
+    if (!author || await isBlockedBetween(req.user._id, author._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Posts from private accounts are only visible to approved followers
+    if (!author.canBeViewedBy(req.user._id)) {
+      return res.status(403).json({ message: 'This account is private' });
+    }
+
+    // Threads are listed once, through their first post, and only posts
+    // shared with the viewer are listed
+    const filter = {
       author: req.params.userId,
-      isPublic: true 
-    })
+      threadRoot: null,
+      ...await audienceFilter(req.user)
+    };
+
+    const posts = await Post.find(filter)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
-    .populate('author', 'username firstName lastName profilePicture')
-    .populate('likes', 'username firstName lastName')
-    .populate('comments.user', 'username firstName lastName profilePicture');
+    .populate('author', 'username firstName lastName profilePicture');
 
-    const total = await Post.countDocuments({ 
-      author: req.params.userId,
-      isPublic: true 
-    });
+    const total = await Post.countDocuments(filter);
+
+    const hiddenIds = await getHiddenUserIds(req.user);
 
     res.json({
-      posts,
+      posts: await preparePosts(posts, req.user, hiddenIds),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalPosts: total
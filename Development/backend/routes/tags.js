@@ -0,0 +1,101 @@
+const express = require('express');
+const Post = require('../models/Post');
+const auth = require('../middleware/auth');
+const { normalizeTag } = require('../utils/hashtags');
+const { getHiddenUserIds, getExcludedAuthorIds } = require('../utils/blocking');
+const { preparePosts } = require('../utils/posts');
+const { audienceFilter } = require('../utils/audience');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    Get the hashtag index (most used tags on public posts the
+//          user can see)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const excludedIds = await getExcludedAuthorIds(req.user, await getHiddenUserIds(req.user));
+
+    const tags = await Post.aggregate([
+      {
+        $match: { audience: 'public', author: { $nin: excludedIds } }
+      },
+      {
+        $unwind: '$tags'
+      },
+      {
+        $group: {
+          _id: '$tags',
+          postCount: { $sum: 1 },
+          lastUsedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $sort: { postCount: -1, lastUsedAt: -1 }
+      },
+      {
+        $limit: limit
+      },
+      {
+        $project: {
+          _id: 0,
+          tag: '$_id',
+          postCount: 1,
+          lastUsedAt: 1
+        }
+      }
+    ]);
+
+    res.json({ tags });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tags/:tag
+// @desc    Get posts for a hashtag (with pagination)
+// @access  Private
+router.get('/:tag', auth, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Tag is required' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Leave out blocked and muted users, private accounts the viewer doesn't
+    // follow, and posts not shared with the viewer
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const filter = {
+      tags: tag,
+      author: { $nin: await getExcludedAuthorIds(req.user, hiddenIds) },
+      ...await audienceFilter(req.user)
+    };
+
+    const posts = await Post.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'username firstName lastName profilePicture');
+
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      tag,
+      posts: await preparePosts(posts, req.user, hiddenIds),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPosts: total
+    });
+  } catch (error) {
+    console.error('Get tag posts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { uploadImages, MAX_FILES } = require('../middleware/upload');
+const { isSupportedImage, storePostImage } = require('../utils/images');
+
+const router = express.Router();
+
+// @route   POST /api/uploads
+// @desc    Upload post images (multipart field "images")
+// @access  Private
+router.post('/', auth, requireVerifiedEmail, rateLimit('upload'), uploadImages('images', MAX_FILES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    for (const file of req.files) {
+      if (!(await isSupportedImage(file.buffer))) {
+        return res.status(400).json({ message: `${file.originalname} is not a valid image` });
+      }
+    }
+
+    const images = [];
+    for (const file of req.files) {
+      images.push(await storePostImage(file.buffer));
+    }
+
+    res.json({ images });
+  } catch (error) {
+    console.error('Upload images error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
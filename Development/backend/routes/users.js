@@ -3,32 +3,100 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const auth = require('../middleware/auth');
+const { optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { uploadImage } = require('../middleware/upload');
+const {
+  isSupportedImage,
+  getImageSize,
+  parseCrop,
+  storeAvatar,
+  storeCoverPhoto,
+  removeStoredImages,
+  avatarPrefix,
+  coverPrefix
+} = require('../utils/images');
+const { getStorage } = require('../storage');
+const { getBlockedUserIds, getHiddenUserIds, isBlockedBetween } = require('../utils/blocking');
+const { preparePosts } = require('../utils/posts');
+const { audienceFilter } = require('../utils/audience');
+const { scheduleDeletion } = require('../utils/accountDeletion');
+const { buildExport, buildExportZip } = require('../utils/dataExport');
+const Session = require('../models/Session');
 
 const router = express.Router();
 
+// The viewer's relationship to a user: 'following', 'requested', 'none',
+// or null when there is no viewer or the viewer is the user
+const getFollowStatus = (viewer, user) => {
+  if (!viewer || viewer._id.equals(user._id)) return null;
+  if (user.isFollowedBy(viewer._id)) return 'following';
+  if (user.hasFollowRequestFrom(viewer._id)) return 'requested';
+  return 'none';
+};
+
+// Turn a pending follow request into a follow
+const approveFollowRequest = async (ownerId, requesterId) => {
+  await User.findByIdAndUpdate(ownerId, {
+    $pull: {
+      followRequests: { user: requesterId },
+      notifications: { type: 'follow_request', from: requesterId }
+    },
+    $addToSet: { followers: requesterId }
+  });
+  await User.findByIdAndUpdate(requesterId, {
+    $addToSet: { following: ownerId }
+  });
+};
+
+// Drop a pending follow request (and its notification) without following
+const removeFollowRequest = (ownerId, requesterId) => User.findByIdAndUpdate(ownerId, {
+  $pull: {
+    followRequests: { user: requesterId },
+    notifications: { type: 'follow_request', from: requesterId }
+  }
+});
+
 // @route   GET /api/users/profile/:username
-// @desc    Get user profile by username
+// @desc    Get user profile by username (posts are hidden for private accounts
+//          unless the viewer is an approved follower)
 // @access  Public
-router.get('/profile/:username', async (req, res) => {
+router.get('/profile/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username })
       .select('-password -notifications')
       .populate('followers', 'username firstName lastName profilePicture')
       .populate('following', 'username firstName lastName profilePicture');
 
-    if (!user) {
+    // Users who blocked the viewer look like they don't exist
+    if (!user || (req.user && user.hasBlocked(req.user._id))) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get user's recent posts
-    const posts = await Post.find({ author: user._id })
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .populate('author', 'username firstName lastName profilePicture');
+    const viewerId = req.user ? req.user._id : null;
+    const blocked = Boolean(req.user && req.user.hasBlocked(user._id));
+    const canViewPosts = !blocked && user.canBeViewedBy(viewerId);
+
+    // Get user's recent posts, the ones shared with the viewer, prepared as
+    // every other post list is. That needs a viewer, so signed-out visitors
+    // get the profile without posts.
+    let posts = [];
+    if (canViewPosts && req.user) {
+      const recent = await Post.find({ author: user._id, threadRoot: null, ...await audienceFilter(req.user) })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .populate('author', 'username firstName lastName profilePicture');
+      posts = await preparePosts(recent, req.user, await getHiddenUserIds(req.user));
+    }
 
     res.json({
       user: user.getPublicProfile(),
-      posts
+      posts,
+      canViewPosts,
+      followStatus: getFollowStatus(req.user, user),
+      blocked,
+      muted: Boolean(req.user && req.user.hasMuted(user._id)),
+      closeFriend: Boolean(req.user && req.user.closeFriends.some(id => id.equals(user._id)))
     });
 
   } catch (error) {
@@ -52,7 +120,19 @@ router.put('/profile', auth, [
   body('bio')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot exceed 500 characters')
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('isPrivate')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrivate must be true or false'),
+  // Uploaded avatars are only set through the upload endpoint, so a pasted
+  // URL can't point at someone else's file
+  body('profilePicture')
+    .optional()
+    .isString()
+    .withMessage('Profile picture must be a URL')
+    .custom(url => !getStorage().keyFromUrl(url))
+    .withMessage('Use the avatar upload to set an uploaded profile picture')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -60,13 +140,18 @@ router.put('/profile', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, bio, profilePicture } = req.body;
+    const { firstName, lastName, bio, profilePicture, isPrivate } = req.body;
     const updateFields = {};
 
     if (firstName) updateFields.firstName = firstName;
     if (lastName) updateFields.lastName = lastName;
     if (bio !== undefined) updateFields.bio = bio;
-    if (profilePicture !== undefined) updateFields.profilePicture = profilePicture;
+    if (isPrivate !== undefined) updateFields.isPrivate = isPrivate;
+    if (profilePicture !== undefined) {
+      // A pasted URL replaces any uploaded avatar renditions
+      updateFields.profilePicture = profilePicture;
+      updateFields.profilePictureSizes = { small: '', medium: '', large: '' };
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -74,6 +159,20 @@ router.put('/profile', auth, [
       { new: true }
     ).select('-password');
 
+    if (profilePicture !== undefined) {
+      await removeStoredImages(
+        avatarUrls(req.user).filter(url => url !== profilePicture),
+        avatarPrefix(req.user._id)
+      );
+    }
+
+    // Going public approves everyone who was waiting
+    if (isPrivate === false && req.user.followRequests.length > 0) {
+      for (const request of req.user.followRequests) {
+        await approveFollowRequest(req.user._id, request.user);
+      }
+    }
+
     res.json({ user });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -81,25 +180,129 @@ router.put('/profile', auth, [
   }
 });
 
+// Every stored URL of a user's current avatar
+const avatarUrls = (user) => [
+  user.profilePicture,
+  user.profilePictureSizes?.small,
+  user.profilePictureSizes?.medium,
+  user.profilePictureSizes?.large
+].filter(Boolean);
+
+// Validate the uploaded image and its optional crop rectangle.
+// Sends a 400 response and returns null when either is invalid.
+const readCroppedUpload = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ message: 'No image uploaded' });
+    return null;
+  }
+
+  if (!(await isSupportedImage(req.file.buffer))) {
+    res.status(400).json({ message: 'Uploaded file is not a valid image' });
+    return null;
+  }
+
+  const { width, height } = await getImageSize(req.file.buffer);
+  try {
+    return { region: parseCrop(req.body.crop, width, height) };
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+    return null;
+  }
+};
+
+// @route   POST /api/users/profile/avatar
+// @desc    Upload a profile picture (multipart field "image", optional "crop" JSON)
+// @access  Private
+router.post('/profile/avatar', auth, rateLimit('upload'), uploadImage('image'), async (req, res) => {
+  try {
+    const upload = await readCroppedUpload(req, res);
+    if (!upload) return;
+
+    const previousUrls = avatarUrls(req.user);
+    const sizes = await storeAvatar(req.file.buffer, upload.region, req.user._id);
+
+    req.user.profilePictureSizes = sizes;
+    req.user.profilePicture = sizes.medium;
+    await req.user.save();
+
+    // Remove the replaced renditions (uploading the same crop again reuses the files)
+    const currentUrls = Object.values(sizes);
+    await removeStoredImages(
+      previousUrls.filter(url => !currentUrls.includes(url)),
+      avatarPrefix(req.user._id)
+    );
+
+    res.json({ user: req.user.getPublicProfile() });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/profile/cover
+// @desc    Upload a cover photo (multipart field "image", optional "crop" JSON)
+// @access  Private
+router.post('/profile/cover', auth, rateLimit('upload'), uploadImage('image'), async (req, res) => {
+  try {
+    const upload = await readCroppedUpload(req, res);
+    if (!upload) return;
+
+    const previousUrl = req.user.coverPhoto;
+    const coverPhoto = await storeCoverPhoto(req.file.buffer, upload.region, req.user._id);
+
+    req.user.coverPhoto = coverPhoto;
+    await req.user.save();
+
+    if (previousUrl && previousUrl !== coverPhoto) {
+      await removeStoredImages([previousUrl], coverPrefix(req.user._id));
+    }
+
+    res.json({ user: req.user.getPublicProfile() });
+  } catch (error) {
+    console.error('Upload cover photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/users/follow/:userId
-// @desc    Follow a user
+// @desc    Follow a user (sends a follow request if the account is private)
 // @access  Private
-router.post('/follow/:userId', auth, async (req, res) => {
+router.post('/follow/:userId', auth, requireVerifiedEmail, rateLimit('follow'), async (req, res) => {
   try {
     if (req.user._id.toString() === req.params.userId) {
       return res.status(400).json({ message: 'You cannot follow yourself' });
     }
 
     const userToFollow = await User.findById(req.params.userId);
-    if (!userToFollow) {
+    if (!userToFollow || userToFollow.hasBlocked(req.user._id)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (req.user.hasBlocked(userToFollow._id)) {
+      return res.status(400).json({ message: 'Unblock this user before following them' });
+    }
+
     // Check if already following
     if (req.user.following.includes(req.params.userId)) {
       return res.status(400).json({ message: 'Already following this user' });
     }
 
+    // Private accounts have to approve the follow first
+    if (userToFollow.isPrivate) {
+      if (userToFollow.hasFollowRequestFrom(req.user._id)) {
+        return res.status(400).json({ message: 'Follow request already sent' });
+      }
+
+      userToFollow.followRequests.push({ user: req.user._id });
+      userToFollow.notifications.push({
+        type: 'follow_request',
+        from: req.user._id
+      });
+      await userToFollow.save();
+
+      return res.json({ message: 'Follow request sent', followStatus: 'requested' });
+    }
+
     // Add to following list
     req.user.following.push(req.params.userId);
     await req.user.save();
@@ -115,7 +318,7 @@ router.post('/follow/:userId', auth, async (req, res) => {
     });
     await userToFollow.save();
 
-    res.json({ message: 'User followed successfully' });
+    res.json({ message: 'User followed successfully', followStatus: 'following' });
   } catch (error) {
     console.error('Follow user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -123,7 +326,7 @@ router.post('/follow/:userId', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/users/follow/:userId
-// @desc    Unfollow a user
+// @desc    Unfollow a user (or cancel a pending follow request)
 // @access  Private
 router.delete('/follow/:userId', auth, async (req, res) => {
   try {
@@ -132,6 +335,11 @@ router.delete('/follow/:userId', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (userToUnfollow.hasFollowRequestFrom(req.user._id)) {
+      await removeFollowRequest(userToUnfollow._id, req.user._id);
+      return res.json({ message: 'Follow request cancelled', followStatus: 'none' });
+    }
+
     // Remove from following list
     req.user.following = req.user.following.filter(
       id => !id.equals(req.params.userId)
@@ -144,13 +352,347 @@ router.delete('/follow/:userId', auth, async (req, res) => {
     );
     await userToUnfollow.save();
 
-    res.json({ message: 'User unfollowed successfully' });
+    res.json({ message: 'User unfollowed successfully', followStatus: 'none' });
   } catch (error) {
     console.error('Unfollow user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/users/follow-requests
+// @desc    Get pending follow requests for the current user
+// @access  Private
+router.get('/follow-requests', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('followRequests')
+      .populate('followRequests.user', 'username firstName lastName profilePicture');
+
+    // Newest first, skipping requests from deleted accounts
+    const requests = user.followRequests
+      .filter(request => request.user)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:userId/approve
+// @desc    Approve a pending follow request
+// @access  Private
+router.post('/follow-requests/:userId/approve', auth, async (req, res) => {
+  try {
+    if (!req.user.hasFollowRequestFrom(req.params.userId)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+
+    const requester = await User.findById(req.params.userId).select('_id');
+    if (!requester) {
+      await removeFollowRequest(req.user._id, req.params.userId);
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await approveFollowRequest(req.user._id, requester._id);
+
+    res.json({ message: 'Follow request approved' });
+  } catch (error) {
+    console.error('Approve follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:userId/reject
+// @desc    Reject a pending follow request
+// @access  Private
+router.post('/follow-requests/:userId/reject', auth, async (req, res) => {
+  try {
+    if (!req.user.hasFollowRequestFrom(req.params.userId)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+
+    await removeFollowRequest(req.user._id, req.params.userId);
+
+    res.json({ message: 'Follow request rejected' });
+  } catch (error) {
+    console.error('Reject follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/blocked
+// @desc    Get the users the current user has blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username firstName lastName profilePicture');
+
+    res.json({ users: user.blockedUsers });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/block/:userId
+// @desc    Block a user (also removes follows, follow requests and close
+//          friends both ways)
+// @access  Private
+router.post('/block/:userId', auth, async (req, res) => {
+  try {
+    if (req.user._id.toString() === req.params.userId) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    const userToBlock = await User.findById(req.params.userId).select('_id');
+    if (!userToBlock) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.user.hasBlocked(userToBlock._id)) {
+      return res.status(400).json({ message: 'User is already blocked' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { blockedUsers: userToBlock._id },
+      $pull: {
+        followers: userToBlock._id,
+        following: userToBlock._id,
+        followRequests: { user: userToBlock._id },
+        closeFriends: userToBlock._id
+      }
+    });
+
+    await User.findByIdAndUpdate(userToBlock._id, {
+      $pull: {
+        followers: req.user._id,
+        following: req.user._id,
+        followRequests: { user: req.user._id },
+        closeFriends: req.user._id
+      }
+    });
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/block/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete('/block/:userId', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { blockedUsers: req.params.userId }
+    });
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/muted
+// @desc    Get the users the current user has muted
+// @access  Private
+router.get('/muted', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('mutedUsers')
+      .populate('mutedUsers', 'username firstName lastName profilePicture');
+
+    res.json({ users: user.mutedUsers });
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/mute/:userId
+// @desc    Mute a user (the muted user is not told)
+// @access  Private
+router.post('/mute/:userId', auth, async (req, res) => {
+  try {
+    if (req.user._id.toString() === req.params.userId) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+
+    const userToMute = await User.findById(req.params.userId).select('_id');
+    if (!userToMute) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { mutedUsers: userToMute._id }
+    });
+
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/mute/:userId
+// @desc    Unmute a user
+// @access  Private
+router.delete('/mute/:userId', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { mutedUsers: req.params.userId }
+    });
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/close-friends
+// @desc    Get the current user's close friends
+// @access  Private
+router.get('/close-friends', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('closeFriends')
+      .populate('closeFriends', 'username firstName lastName profilePicture');
+
+    res.json({ users: user.closeFriends });
+  } catch (error) {
+    console.error('Get close friends error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/close-friends/:userId
+// @desc    Add a user to close friends (they aren't told)
+// @access  Private
+router.post('/close-friends/:userId', auth, async (req, res) => {
+  try {
+    if (req.user._id.toString() === req.params.userId) {
+      return res.status(400).json({ message: 'You cannot add yourself to close friends' });
+    }
+
+    const friend = await User.findById(req.params.userId).select('_id');
+    if (!friend || await isBlockedBetween(req.user._id, friend._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { closeFriends: friend._id }
+    });
+
+    res.json({ message: 'Added to close friends' });
+  } catch (error) {
+    console.error('Add close friend error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/close-friends/:userId
+// @desc    Remove a user from close friends
+// @access  Private
+router.delete('/close-friends/:userId', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { closeFriends: req.params.userId }
+    });
+
+    res.json({ message: 'Removed from close friends' });
+  } catch (error) {
+    console.error('Remove close friend error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Schedule the current account for deletion after a grace period
+// @access  Private
+router.delete('/me', auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    if (!user.deletionScheduledFor) {
+      scheduleDeletion(user);
+      await user.save();
+    }
+
+    // Sign out everywhere; logging back in during the grace period allows cancelling
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}. Log in before then to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/me/cancel-deletion', auth, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { deletionScheduledFor: null });
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download all of the current user's data as JSON or a ZIP (?format=zip)
+// @access  Private
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    const data = await buildExport(req.user._id);
+    const baseName = `socialapp-${req.user.username}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      const archive = await buildExportZip(data);
+      res.attachment(`${baseName}.zip`);
+      return res.send(archive);
+    }
+
+    res.attachment(`${baseName}.json`);
+    res.send(JSON.stringify({ exportedAt: new Date(), ...data }, null, 2));
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/suggestions
 // @desc    Get friend suggestions based on network
 // @access  Private
@@ -158,14 +700,14 @@ router.get('/suggestions', auth, async (req, res) => {
   try {
     // Get users that the current user follows
     const followingIds = req.user.following;
+    const blockedIds = await getBlockedUserIds(req.user);
     
     // Find users that are followed by people the current user follows
-    // but the current user doesn't follow yet
+    // but the current user doesn't follow yet (never suggesting blocked or muted users)
     const suggestions = await User.aggregate([
       {
         $match: {
-          _id: { $ne: req.user._id },
-          _id: { $nin: followingIds }
+          _id: { $nin: [req.user._id, ...followingIds, ...blockedIds, ...req.user.mutedUsers] }
         }
       },
       {
@@ -222,6 +764,7 @@ router.get('/search', auth, async (req, res) => {
     }
 
     const searchRegex = new RegExp(q.trim(), 'i');
+    const blockedIds = await getBlockedUserIds(req.user);
     
     const users = await User.find({
       $or: [
@@ -229,7 +772,7 @@ router.get('/search', auth, async (req, res) => {
         { firstName: searchRegex },
         { lastName: searchRegex }
       ],
-      _id: { $ne: req.user._id }
+      _id: { $nin: [req.user._id, ...blockedIds] }
     })
     .select('username firstName lastName profilePicture')
     .limit(10);
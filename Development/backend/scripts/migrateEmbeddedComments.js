@@ -0,0 +1,81 @@
+// One-off migration: comments used to be embedded in each post. Copy them
+// into the comments collection, record each post's commentCount and drop the
+// embedded array. Comment ids are kept, so notifications still point at the
+// right comment, and re-running after a partial failure is safe.
+//
+//   npm run migrate:comments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-app');
+
+  // The Post schema no longer has a comments path, so read the raw documents
+  const posts = Post.collection.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let postCount = 0;
+  let commentCount = 0;
+
+  for await (const post of posts) {
+    const comments = post.comments || [];
+
+    const replyCounts = new Map();
+    comments.forEach(comment => {
+      if (comment.parent) {
+        const key = comment.parent.toString();
+        replyCounts.set(key, (replyCounts.get(key) || 0) + 1);
+      }
+    });
+
+    if (comments.length > 0) {
+      await Comment.bulkWrite(comments.map(comment => ({
+        replaceOne: {
+          filter: { _id: comment._id },
+          replacement: {
+            _id: comment._id,
+            post: post._id,
+            user: comment.user,
+            content: comment.content,
+            mentions: comment.mentions || [],
+            parent: comment.parent || null,
+            depth: comment.depth || 0,
+            likes: [],
+            likeCount: 0,
+            replyCount: replyCounts.get(comment._id.toString()) || 0,
+            createdAt: comment.createdAt
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { commentCount: comments.length }, $unset: { comments: '' } }
+    );
+
+    postCount += 1;
+    commentCount += comments.length;
+  }
+
+  // Comments written before comment likes existed need a count to sort by
+  await Comment.updateMany(
+    { likeCount: { $exists: false } },
+    { $set: { likes: [], likeCount: 0 } }
+  );
+
+  console.log(`Moved ${commentCount} comments out of ${postCount} posts`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// One-off migration: posts used to keep a plain array of user ids in likes.
+// Turn each like into a 'like' reaction and drop the old array. Users
+// already in reactions are skipped, so re-running after a failure is safe.
+//
+//   npm run migrate:reactions
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-app');
+
+  // The Post schema no longer has a likes path, so read the raw documents
+  const posts = Post.collection.find(
+    { likes: { $exists: true } },
+    { projection: { likes: 1, reactions: 1, createdAt: 1 } }
+  );
+
+  let postCount = 0;
+  let reactionCount = 0;
+
+  for await (const post of posts) {
+    const reacted = new Set((post.reactions || []).map(reaction => reaction.user.toString()));
+    const reactions = [];
+    (post.likes || []).forEach(userId => {
+      if (reacted.has(userId.toString())) return;
+      reacted.add(userId.toString());
+      reactions.push({
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        type: 'like',
+        // When each like happened was never stored
+        createdAt: post.createdAt
+      });
+    });
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $push: { reactions: { $each: reactions } }, $unset: { likes: '' } }
+    );
+
+    postCount += 1;
+    reactionCount += reactions.length;
+  }
+
+  console.log(`Converted ${reactionCount} likes on ${postCount} posts into reactions`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// One-off migration: posts and drafts used to have an isPublic flag. Public
+// ones become audience 'public'; private ones were shown to nobody but their
+// author, so they become 'only_me' rather than reaching anyone new. Only
+// documents still holding isPublic are touched, so re-running is safe.
+//
+//   npm run migrate:audience
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Draft = require('../models/Draft');
+
+dotenv.config();
+
+// The schemas no longer have an isPublic path, so update the raw collections
+const migrate = async (collection) => {
+  const toPublic = await collection.updateMany(
+    { isPublic: true },
+    { $set: { audience: 'public' }, $unset: { isPublic: '' } }
+  );
+  const toOnlyMe = await collection.updateMany(
+    { isPublic: false },
+    { $set: { audience: 'only_me' }, $unset: { isPublic: '' } }
+  );
+  return { public: toPublic.modifiedCount, onlyMe: toOnlyMe.modifiedCount };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-app');
+
+  const posts = await migrate(Post.collection);
+  console.log(`Posts: ${posts.public} made public, ${posts.onlyMe} made visible only to their author`);
+
+  const drafts = await migrate(Draft.collection);
+  console.log(`Drafts: ${drafts.public} made public, ${drafts.onlyMe} made visible only to their author`);
+
+  // Posts from before isPublic existed have neither field
+  const untouched = await Post.collection.updateMany(
+    { audience: { $exists: false } },
+    { $set: { audience: 'public' } }
+  );
+  if (untouched.modifiedCount > 0) {
+    console.log(`Posts: ${untouched.modifiedCount} without a privacy setting made public`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration error:', error);
+  process.exit(1);
+});
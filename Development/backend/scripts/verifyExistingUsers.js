@@ -0,0 +1,26 @@
+// One-off migration: accounts created before email verification existed have
+// no emailVerified field. Mark them verified so they keep full access.
+//
+//   npm run migrate:verify-existing-users
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-app');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration error:', error);
+  process.exit(1);
+});
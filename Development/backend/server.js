@@ -3,23 +3,40 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { getStorage } = require('./storage');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, trust it so req.ip is the client's address (recorded on sessions)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Serve uploaded files from local disk (content-hashed, so safe to cache forever)
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root, { maxAge: '1y', immutable: true }));
+}
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-app', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -28,6 +45,10 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/posts', require('./routes/posts'));
 app.use('/api/interactions', require('./routes/interactions'));
 app.use('/api/feed', require('./routes/feed'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/bookmarks', require('./routes/bookmarks'));
+app.use('/api/drafts', require('./routes/drafts'));
+app.use('/api/uploads', require('./routes/uploads'));
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,31 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+
+// A storage adapter exposes:
+//   save(key, buffer)  -> Promise<url>
+//   remove(key)        -> Promise
+//   getUrl(key)        -> url
+//   keyFromUrl(url)    -> key, or null if the url is not from this adapter
+// Add a driver here to store uploads somewhere other than the local disk.
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'),
+    baseUrl: process.env.UPLOAD_BASE_URL || '/uploads'
+  })
+};
+
+let storage = null;
+
+// Get the configured storage adapter (created once, on first use)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage adapter that keeps files on the local disk and serves them
+// through express.static (see server.js)
+const createLocalDiskStorage = ({ root, baseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${baseUrl}/${key}`;
+
+  return {
+    name: 'local',
+    root,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return getUrl(key);
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl,
+
+    // Map a URL produced by this adapter back to its key (null if it is not ours)
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+      return url.slice(baseUrl.length + 1);
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
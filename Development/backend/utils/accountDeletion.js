@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const PollVote = require('../models/PollVote');
+const Draft = require('../models/Draft');
+const Session = require('../models/Session');
+const { removeStoredImages, avatarPrefix, coverPrefix } = require('./images');
+const { releaseSources, deleteRepostsOf } = require('./reposts');
+
+// Permanently remove a user and everything that points at them
+const deleteUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const posts = await Post.find({ author: userId }).select('_id repostOf quoteOf');
+  const postIds = posts.map(post => post._id);
+
+  // Their posts and every comment on them, plus their comments (with
+  // replies), reactions, comment likes and mentions on everyone else's.
+  // Others' reposts of their posts go too, and their own reposts and
+  // quotes stop counting on the originals.
+  await Post.deleteMany({ author: userId });
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await releaseSources(posts);
+  await deleteRepostsOf(postIds);
+
+  // Their bookmarks, and everyone's bookmarks of their posts
+  await Bookmark.deleteMany({ $or: [{ user: userId }, { post: { $in: postIds } }] });
+  await BookmarkCollection.deleteMany({ user: userId });
+
+  // Their poll votes and every vote on their polls
+  await PollVote.deleteMany({ $or: [{ user: userId }, { post: { $in: postIds } }] });
+
+  // Their drafts, including posts scheduled but not yet published
+  await Draft.deleteMany({ author: userId });
+
+  const commentIds = await Comment.find({ user: userId }).distinct('_id');
+  await Comment.removeThreads(commentIds);
+  await Post.updateMany(
+    {},
+    {
+      $pull: {
+        reactions: { user: userId },
+        mentions: userId
+      }
+    }
+  );
+  await Comment.updateMany(
+    { likes: userId },
+    { $pull: { likes: userId }, $inc: { likeCount: -1 } }
+  );
+
+  // Every reference from other users: social graph, blocks, mutes and
+  // notifications sent by them or about their posts
+  await User.updateMany(
+    {},
+    {
+      $pull: {
+        followers: userId,
+        following: userId,
+        followRequests: { user: userId },
+        blockedUsers: userId,
+        mutedUsers: userId,
+        closeFriends: userId,
+        notifications: { from: userId }
+      }
+    }
+  );
+  if (postIds.length > 0) {
+    await User.updateMany(
+      {},
+      { $pull: { notifications: { post: { $in: postIds } } } }
+    );
+  }
+
+  await Session.deleteMany({ user: userId });
+
+  // Avatars and covers live under per-user keys, so nobody else uses them.
+  // Post images are content-addressed and may be shared, so they stay.
+  try {
+    await removeStoredImages([
+      user.profilePicture,
+      ...Object.values(user.profilePictureSizes || {})
+    ].filter(Boolean), avatarPrefix(userId));
+    await removeStoredImages([user.coverPhoto].filter(Boolean), coverPrefix(userId));
+  } catch (error) {
+    console.error('Remove deleted user images error:', error);
+  }
+
+  await User.findByIdAndDelete(userId);
+};
+
+// Mark an account for deletion once the grace period is over (unsaved)
+const scheduleDeletion = (user) => {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+  user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  return user;
+};
+
+// Delete every account whose grace period has run out
+const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+  for (const { _id } of due) {
+    await deleteUserData(_id);
+  }
+  return due.length;
+};
+
+module.exports = {
+  scheduleDeletion,
+  deleteUserData,
+  purgeDueAccounts
+};
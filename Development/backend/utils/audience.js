@@ -0,0 +1,78 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { isBlockedBetween } = require('./blocking');
+
+// Who a post is shown to, widest first
+const AUDIENCES = ['public', 'followers', 'close_friends', 'only_me'];
+
+// Ids of the users who have this user on their close friends list
+const getCloseFriendOfIds = (user) => User.find({ closeFriends: user._id }).distinct('_id');
+
+// Query condition for posts whose audience includes the viewer. Authors
+// always see their own posts. It only sets $or, so it can be spread into a
+// find filter or an aggregation $match next to other conditions.
+const audienceFilter = async (viewer) => {
+  const closeFriendOf = await getCloseFriendOfIds(viewer);
+  return {
+    $or: [
+      { audience: 'public' },
+      { audience: 'followers', author: { $in: [...viewer.following] } },
+      { audience: 'close_friends', author: { $in: closeFriendOf } },
+      { author: viewer._id }
+    ]
+  };
+};
+
+// The same rule for posts that are already loaded: returns a function that
+// tells whether the viewer is in a post's audience (author populated or not)
+const getAudienceCheck = async (viewer) => {
+  const following = new Set(viewer.following.map(id => id.toString()));
+  const closeFriendOf = new Set((await getCloseFriendOfIds(viewer)).map(id => id.toString()));
+  const viewerId = viewer._id.toString();
+
+  return (post) => {
+    const authorId = (post.author._id || post.author).toString();
+    if (authorId === viewerId) return true;
+    switch (post.audience) {
+      case 'public':
+        return true;
+      case 'followers':
+        return following.has(authorId);
+      case 'close_friends':
+        return closeFriendOf.has(authorId);
+      default:
+        return false;
+    }
+  };
+};
+
+// Whether a user may see a post: neither has blocked the other, the author
+// isn't a private account the user doesn't follow, and the user is in the
+// post's audience. `post` needs its author and audience.
+const canViewPost = async (post, viewer) => {
+  const authorId = post.author._id || post.author;
+  if (await isBlockedBetween(viewer._id, authorId)) return false;
+
+  const author = await User.findById(authorId).select('isPrivate followers');
+  if (author && !author.canBeViewedBy(viewer._id)) return false;
+
+  const inAudience = await getAudienceCheck(viewer);
+  return inAudience(post);
+};
+
+// Load a post for a viewer, or null when it doesn't exist or they may not
+// see it (see canViewPost), so hidden posts look like they don't exist.
+// `select` narrows the fields loaded and has to keep author and audience.
+const loadVisiblePost = async (postId, viewer, select) => {
+  const post = await Post.findById(postId).select(select);
+  if (!post || !(await canViewPost(post, viewer))) return null;
+  return post;
+};
+
+module.exports = {
+  AUDIENCES,
+  audienceFilter,
+  getAudienceCheck,
+  canViewPost,
+  loadVisiblePost
+};
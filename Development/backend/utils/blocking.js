@@ -0,0 +1,58 @@
+const User = require('../models/User');
+
+// Ids of everyone on either side of a block with this user
+const getBlockedUserIds = async (user) => {
+  const blockers = await User.find({ blockedUsers: user._id }).select('_id');
+  return [
+    ...(user.blockedUsers || []),
+    ...blockers.map(blocker => blocker._id)
+  ];
+};
+
+// Ids of users whose content this user should not see: blocks in either
+// direction plus the users this user has muted
+const getHiddenUserIds = async (user) => {
+  const blockedIds = await getBlockedUserIds(user);
+  return [...blockedIds, ...(user.mutedUsers || [])];
+};
+
+// Ids of users whose posts are left out of listings (feeds, search, tags)
+// for this user: the hidden users plus private accounts the user doesn't
+// follow, the same rule as User#canBeViewedBy
+const getExcludedAuthorIds = async (user, hiddenIds) => {
+  const privateIds = await User.find({
+    isPrivate: true,
+    _id: { $ne: user._id },
+    followers: { $ne: user._id }
+  }).distinct('_id');
+  return [...hiddenIds, ...privateIds];
+};
+
+// Check whether either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+// Ids (as strings) of the authors whose posts this user may see: not
+// hidden from them, and not a private account they don't follow
+const getVisibleAuthorIds = async (user, authorIds, hiddenIds = []) => {
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+  const authors = await User.find({ _id: { $in: authorIds } }).select('isPrivate followers');
+  return new Set(authors
+    .filter(author => !hidden.has(author._id.toString()) && author.canBeViewedBy(user._id))
+    .map(author => author._id.toString()));
+};
+
+module.exports = {
+  getBlockedUserIds,
+  getHiddenUserIds,
+  getExcludedAuthorIds,
+  isBlockedBetween,
+  getVisibleAuthorIds
+};
@@ -0,0 +1,20 @@
+const Bookmark = require('../models/Bookmark');
+
+// Mark each post with whether the viewer bookmarked what it shows (the
+// original, for a repost). Expects plain objects, as withSources returns.
+const withBookmarks = async (posts, viewer) => {
+  if (posts.length === 0) return posts;
+
+  const shownId = post => (post.repostOf ? post.repostOf._id : post._id);
+  const saved = await Bookmark.find({
+    user: viewer._id,
+    post: { $in: posts.map(shownId) }
+  }).distinct('post');
+  const savedIds = new Set(saved.map(id => id.toString()));
+
+  return posts.map(post => ({ ...post, bookmarked: savedIds.has(shownId(post).toString()) }));
+};
+
+module.exports = {
+  withBookmarks
+};
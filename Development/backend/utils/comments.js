@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+// Sort orders for comment lists. Each ends in _id so the order is total and
+// a cursor can pick up exactly where the previous page stopped.
+const COMMENT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  // Most liked first, newer comments ahead on ties
+  top: { likeCount: -1, createdAt: -1, _id: -1 }
+};
+
+// How each sort field is read back out of a cursor
+const CURSOR_FIELDS = {
+  _id: value => new mongoose.Types.ObjectId(value),
+  createdAt: value => new Date(value),
+  likeCount: Number
+};
+
+// How long after posting a comment its author may still edit it
+const getEditWindowMinutes = () => parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// Whether this user may edit the comment right now
+const canEditComment = (comment, userId) => {
+  const authorId = comment.user._id || comment.user;
+  const deadline = new Date(comment.createdAt).getTime() + getEditWindowMinutes() * 60 * 1000;
+  return authorId.toString() === userId.toString() && Date.now() < deadline;
+};
+
+// A cursor is the last comment's sort values, base64url-encoded
+const encodeCursor = (comment, order) => Buffer
+  .from(JSON.stringify(Object.keys(order).map(field => comment[field])))
+  .toString('base64url');
+
+// Returns null when the cursor is malformed or from a different sort
+const decodeCursor = (cursor, order) => {
+  try {
+    const fields = Object.keys(order);
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== fields.length) return null;
+
+    const decoded = fields.map((field, i) => CURSOR_FIELDS[field](values[i]));
+    if (decoded.some(value => value instanceof Date ? isNaN(value) : Number.isNaN(value))) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Everything that sorts after the cursor: ties on earlier fields fall
+// through to the next one
+const afterCursor = (order, values) => {
+  const fields = Object.keys(order);
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {};
+      fields.slice(0, i).forEach((previous, j) => {
+        clause[previous] = values[j];
+      });
+      clause[field] = { [order[field] === 1 ? '$gt' : '$lt']: values[i] };
+      return clause;
+    })
+  };
+};
+
+// One page of comments matching the filter, each marked with whether the
+// viewer liked it and can still edit it. Returns null for a bad cursor.
+const getCommentPage = async (filter, { sort = 'newest', cursor, limit = 20, viewerId } = {}) => {
+  const order = COMMENT_SORTS[sort];
+  const query = { ...filter };
+
+  if (cursor) {
+    const values = decodeCursor(cursor, order);
+    if (!values) return null;
+    Object.assign(query, afterCursor(order, values));
+  }
+
+  // Fetch one extra to know whether there is another page
+  const comments = await Comment.find(query)
+    .sort(order)
+    .limit(limit + 1)
+    .populate('user', 'username firstName lastName profilePicture');
+
+  const page = comments.slice(0, limit);
+  const likedIds = viewerId
+    ? await Comment.find({ _id: { $in: page.map(comment => comment._id) }, likes: viewerId }).distinct('_id')
+    : [];
+  const liked = new Set(likedIds.map(id => id.toString()));
+
+  return {
+    comments: page.map(comment => ({
+      ...comment.toJSON(),
+      isLiked: liked.has(comment._id.toString()),
+      canEdit: viewerId ? canEditComment(comment, viewerId) : false
+    })),
+    nextCursor: comments.length > limit ? encodeCursor(page[page.length - 1], order) : null
+  };
+};
+
+// Attach each post's top comment (the top-level comment that sorts first
+// under "top") for the preview shown under posts in lists. Returns plain
+// objects, since documents drop fields their schema doesn't know.
+const withTopComments = async (posts, hiddenIds = []) => {
+  if (posts.length === 0) return posts;
+
+  // A repost shows its original's comments
+  const shownId = post => (post.repostOf ? post.repostOf._id : post._id);
+
+  const top = await Comment.aggregate([
+    {
+      $match: {
+        post: { $in: posts.map(shownId) },
+        parent: null,
+        user: { $nin: hiddenIds }
+      }
+    },
+    { $sort: { likeCount: -1, createdAt: -1, _id: -1 } },
+    { $group: { _id: '$post', comment: { $first: '$$ROOT' } } }
+  ]);
+  const comments = await Comment.populate(top.map(({ comment }) => comment), {
+    path: 'user',
+    select: 'username firstName lastName profilePicture'
+  });
+
+  const byPost = new Map(comments.map(comment => [comment.post.toString(), comment]));
+  return posts.map(post => {
+    const data = typeof post.toJSON === 'function' ? post.toJSON() : post;
+    const comment = byPost.get(shownId(post).toString());
+    if (!comment || !comment.user) {
+      return { ...data, topComment: null };
+    }
+
+    const { _id, user, content, likeCount, replyCount, editedAt, createdAt } = comment;
+    return {
+      ...data,
+      topComment: { _id, user, content, likeCount, replyCount, editedAt, createdAt }
+    };
+  });
+};
+
+module.exports = {
+  COMMENT_SORTS,
+  getEditWindowMinutes,
+  canEditComment,
+  getCommentPage,
+  withTopComments
+};
@@ -0,0 +1,172 @@
+const JSZip = require('jszip');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const PollVote = require('../models/PollVote');
+const Draft = require('../models/Draft');
+const Session = require('../models/Session');
+
+const summarizeUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  firstName: user.firstName,
+  lastName: user.lastName
+});
+
+// Gather everything we hold about a user, one section per archive file
+const buildExport = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('followers', 'username firstName lastName')
+    .populate('following', 'username firstName lastName')
+    .populate('followRequests.user', 'username firstName lastName')
+    .populate('blockedUsers', 'username firstName lastName')
+    .populate('mutedUsers', 'username firstName lastName')
+    .populate('closeFriends', 'username firstName lastName');
+
+  const posts = await Post.find({ author: userId })
+    .select('+revisions')
+    .sort({ createdAt: -1 });
+  const comments = await Comment.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate({ path: 'post', select: 'author', populate: { path: 'author', select: 'username' } });
+  const reactedPosts = await Post.find({ 'reactions.user': userId })
+    .select('author content reactions createdAt')
+    .populate('author', 'username');
+  const bookmarks = await Bookmark.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate({ path: 'post', select: 'author content', populate: { path: 'author', select: 'username' } });
+  const collections = await BookmarkCollection.find({ user: userId }).sort({ createdAt: 1 });
+  const pollVotes = await PollVote.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate('post', 'content poll');
+  const drafts = await Draft.find({ author: userId }).sort({ updatedAt: -1 });
+  const sessions = await Session.find({ user: userId, revokedAt: null })
+    .select('device ip createdAt lastUsedAt');
+
+  return {
+    profile: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      bio: user.bio,
+      profilePicture: user.profilePicture,
+      coverPhoto: user.coverPhoto,
+      isPrivate: user.isPrivate,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt
+    },
+    posts: posts.map(post => ({
+      _id: post._id,
+      content: post.content,
+      images: post.images,
+      tags: post.tags,
+      location: post.location,
+      poll: post.poll,
+      audience: post.audience,
+      repostOf: post.repostOf,
+      quoteOf: post.quoteOf,
+      threadRoot: post.threadRoot,
+      threadPosition: post.threadPosition,
+      reactionCounts: post.reactionCounts,
+      commentCount: post.commentCount,
+      repostCount: post.repostCount,
+      quoteCount: post.quoteCount,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt,
+      editedAt: post.editedAt,
+      revisions: post.revisions.map(({ content, images, tags, location, createdAt }) => ({
+        content,
+        images,
+        tags,
+        location,
+        createdAt
+      }))
+    })),
+    comments: comments.map(comment => ({
+      _id: comment._id,
+      post: comment.post ? comment.post._id : null,
+      postAuthor: comment.post && comment.post.author ? comment.post.author.username : null,
+      parent: comment.parent,
+      content: comment.content,
+      createdAt: comment.createdAt
+    })),
+    reactions: reactedPosts.map(post => {
+      const reaction = post.reactions.find(r => r.user.equals(userId));
+      return {
+        post: post._id,
+        postAuthor: post.author ? post.author.username : null,
+        content: post.content,
+        type: reaction.type,
+        reactedAt: reaction.createdAt
+      };
+    }),
+    bookmarks: {
+      collections: collections.map(collection => ({
+        _id: collection._id,
+        name: collection.name,
+        createdAt: collection.createdAt
+      })),
+      posts: bookmarks.map(bookmark => ({
+        post: bookmark.post ? bookmark.post._id : null,
+        postAuthor: bookmark.post && bookmark.post.author ? bookmark.post.author.username : null,
+        content: bookmark.post ? bookmark.post.content : null,
+        collections: bookmark.collections,
+        savedAt: bookmark.createdAt
+      }))
+    },
+    pollVotes: pollVotes.map(vote => ({
+      post: vote.post ? vote.post._id : null,
+      content: vote.post ? vote.post.content : null,
+      options: vote.post && vote.post.poll
+        ? vote.options.map(index => vote.post.poll.options[index]?.text)
+        : vote.options,
+      votedAt: vote.createdAt
+    })),
+    drafts: drafts.map(draft => ({
+      content: draft.content,
+      thread: draft.thread,
+      images: draft.images,
+      location: draft.location,
+      audience: draft.audience,
+      poll: draft.poll,
+      scheduledFor: draft.scheduledFor,
+      createdAt: draft.createdAt,
+      updatedAt: draft.updatedAt
+    })),
+    connections: {
+      followers: user.followers.map(summarizeUser),
+      following: user.following.map(summarizeUser),
+      followRequests: user.followRequests
+        .filter(request => request.user)
+        .map(request => ({ user: summarizeUser(request.user), createdAt: request.createdAt })),
+      blocked: user.blockedUsers.map(summarizeUser),
+      muted: user.mutedUsers.map(summarizeUser),
+      closeFriends: user.closeFriends.map(summarizeUser)
+    },
+    sessions: sessions.map(session => ({
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    }))
+  };
+};
+
+// Pack an export into a ZIP with one JSON file per section
+const buildExportZip = async (data) => {
+  const zip = new JSZip();
+  Object.entries(data).forEach(([section, contents]) => {
+    zip.file(`${section}.json`, JSON.stringify(contents, null, 2));
+  });
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  buildExport,
+  buildExportZip
+};
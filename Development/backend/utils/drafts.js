@@ -0,0 +1,100 @@
+const Draft = require('../models/Draft');
+const User = require('../models/User');
+const { validatePoll, buildPoll } = require('./polls');
+const { publishPost, publishThread } = require('./posts');
+
+// How long a poll set up in a draft stays open once the draft is published.
+// Matches POLL_DURATIONS in the composer.
+const POLL_DURATION_HOURS = [1, 24, 72, 168];
+
+// Why a draft can't be published as it stands, or null if it can. The
+// poll's closing time is counted from `at`, when the draft would publish.
+const checkDraft = (draft, at = new Date()) => {
+  if (!draft.content || !draft.content.trim()) {
+    return 'Post content is required';
+  }
+  if (draft.thread && draft.thread.some(content => !content.trim())) {
+    return 'Every post in a thread needs content';
+  }
+  if (draft.poll) {
+    return validatePoll(draftPoll(draft.poll, at), at);
+  }
+  return null;
+};
+
+// The poll as sent with a new post, closing durationHours after `at`
+const draftPoll = (poll, at) => ({
+  options: poll.options,
+  multipleChoice: poll.multipleChoice,
+  closesAt: new Date(new Date(at).getTime() + poll.durationHours * 60 * 60 * 1000)
+});
+
+// Publish a scheduled draft as its author. A draft that can no longer be
+// published is unscheduled with the reason, so the author can fix it.
+const publishDraft = async (draft) => {
+  const author = await User.findById(draft.author);
+  if (!author) {
+    await Draft.deleteOne({ _id: draft._id });
+    return null;
+  }
+
+  const now = new Date();
+  let problem = checkDraft(draft, now);
+  if (!author.emailVerified) problem = 'Please verify your email address first';
+  if (author.deletionScheduledFor) problem = 'Your account is scheduled for deletion';
+  if (problem) {
+    draft.scheduledFor = null;
+    draft.publishError = problem;
+    await draft.save();
+    return null;
+  }
+
+  const first = {
+    content: draft.content,
+    images: draft.images,
+    location: draft.location,
+    audience: draft.audience,
+    poll: draft.poll ? buildPoll(draftPoll(draft.poll, now)) : null
+  };
+  const [post] = draft.thread && draft.thread.length > 0
+    ? await publishThread(author._id, first, draft.thread.map(content => content.trim()))
+    : [await publishPost(author._id, first)];
+  await Draft.deleteOne({ _id: draft._id });
+  return post;
+};
+
+// Publish every scheduled draft that is due. Each draft is claimed by
+// clearing scheduledFor first, so it publishes once even if two runs
+// overlap; drafts missed while the server was down go out on the next run.
+const publishDueDrafts = async () => {
+  const due = await Draft.find({ scheduledFor: { $ne: null, $lte: new Date() } })
+    .select('_id scheduledFor');
+
+  let published = 0;
+  for (const { _id, scheduledFor } of due) {
+    const draft = await Draft.findOneAndUpdate(
+      { _id, scheduledFor },
+      { $set: { scheduledFor: null } },
+      { new: true }
+    );
+    if (!draft) continue;
+
+    try {
+      if (await publishDraft(draft)) published += 1;
+    } catch (error) {
+      console.error('Scheduled post error:', error);
+      await Draft.updateOne(
+        { _id },
+        { $set: { publishError: 'Something went wrong publishing this post' } }
+      );
+    }
+  }
+  return published;
+};
+
+module.exports = {
+  POLL_DURATION_HOURS,
+  checkDraft,
+  publishDraft,
+  publishDueDrafts
+};
@@ -0,0 +1,37 @@
+// Matches "#tag" when it starts a word, so URL fragments like "page#top" are skipped
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]{1,50})/gu;
+
+// Normalize a tag for storage and lookup: no leading '#', trimmed, lowercase
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return '';
+  return tag.trim().replace(/^#+/, '').toLowerCase();
+};
+
+// Extract the unique, normalized hashtags used in a piece of text
+const extractHashtags = (text) => {
+  if (!text) return [];
+
+  const tags = new Set();
+  for (const match of text.matchAll(HASHTAG_REGEX)) {
+    tags.add(normalizeTag(match[2]));
+  }
+  return [...tags];
+};
+
+// Merge client-supplied tags with the hashtags found in the content
+const buildTags = (content, extraTags = []) => {
+  const tags = new Set(extractHashtags(content));
+  if (Array.isArray(extraTags)) {
+    extraTags
+      .map(normalizeTag)
+      .filter(Boolean)
+      .forEach(tag => tags.add(tag));
+  }
+  return [...tags];
+};
+
+module.exports = {
+  normalizeTag,
+  extractHashtags,
+  buildTags
+};
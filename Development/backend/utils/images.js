@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('../storage');
+
+const THUMBNAIL_WIDTH = 400;
+const AVATAR_SIZES = {
+  small: 48,
+  medium: 150,
+  large: 400
+};
+const COVER_SIZE = { width: 1500, height: 500 };
+const FORMAT_EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+// Storage key prefixes for the files that belong to one user
+const avatarPrefix = (ownerId) => `avatars/${ownerId}/`;
+const coverPrefix = (ownerId) => `covers/${ownerId}/`;
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Check the actual file contents, not just the MIME type the client claimed
+const isSupportedImage = async (buffer) => {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return Boolean(FORMAT_EXTENSIONS[format]);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Store a post image and its thumbnail under content-hash filenames.
+// The image is re-encoded so EXIF data (e.g. GPS location) is stripped.
+const storePostImage = async (buffer) => {
+  const { format } = await sharp(buffer).metadata();
+  const animated = format === 'gif' || format === 'webp';
+  const hash = hashBuffer(buffer);
+  const storage = getStorage();
+
+  const image = await sharp(buffer, { animated })
+    .rotate()
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.save(`posts/${hash}.${FORMAT_EXTENSIONS[format]}`, image.data),
+    storage.save(`posts/${hash}_thumb.webp`, thumbnail)
+  ]);
+
+  return {
+    url,
+    thumbnailUrl,
+    width: image.info.width,
+    height: image.info.pageHeight || image.info.height
+  };
+};
+
+// URL of the thumbnail storePostImage made for a post image, or the image
+// itself when it has none (e.g. it did not come from our storage)
+const getThumbnailUrl = (url) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  const match = key && key.match(/^posts\/([0-9a-f]{64})\.\w+$/);
+  return match ? storage.getUrl(`posts/${match[1]}_thumb.webp`) : url;
+};
+
+// Width and height of an image as displayed, i.e. after EXIF orientation
+const getImageSize = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+};
+
+// Parse a crop rectangle ({ x, y, width, height } in displayed source pixels),
+// sent either as JSON or as an object. Returns null when no crop was given and
+// throws when the rectangle is malformed or falls outside the image.
+const parseCrop = (crop, imageWidth, imageHeight) => {
+  if (crop === undefined || crop === null || crop === '') return null;
+
+  let rect = crop;
+  if (typeof crop === 'string') {
+    try {
+      rect = JSON.parse(crop);
+    } catch (error) {
+      throw new Error('Crop must be valid JSON');
+    }
+  }
+
+  const values = ['x', 'y', 'width', 'height'].map(key => Math.round(Number(rect?.[key])));
+  if (values.some(value => !Number.isFinite(value))) {
+    throw new Error('Crop must include numeric x, y, width and height');
+  }
+
+  const [x, y, width, height] = values;
+  if (x < 0 || y < 0 || width < 1 || height < 1 ||
+      x + width > imageWidth || y + height > imageHeight) {
+    throw new Error('Crop rectangle must lie within the image');
+  }
+
+  return { left: x, top: y, width, height };
+};
+
+// Orient, crop (if a region is given) and resize to exactly width x height
+const renderCropped = (buffer, region, width, height) => {
+  let pipeline = sharp(buffer).rotate();
+  if (region) pipeline = pipeline.extract(region);
+
+  return pipeline
+    .resize(width, height, { fit: 'cover' })
+    .webp({ quality: 85 })
+    .toBuffer();
+};
+
+// Store square avatar renditions at every size in AVATAR_SIZES. Files live
+// under the owner's id so replacing one user's avatar never deletes another's.
+// Without a crop region the largest centered square is used.
+const storeAvatar = async (buffer, region, ownerId) => {
+  const hash = hashBuffer(Buffer.concat([buffer, Buffer.from(JSON.stringify(region))]));
+  const storage = getStorage();
+
+  const sizes = {};
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    const output = await renderCropped(buffer, region, size, size);
+    sizes[name] = await storage.save(`${avatarPrefix(ownerId)}${hash}_${size}.webp`, output);
+  }
+
+  return sizes;
+};
+
+// Store a 3:1 cover photo under the owner's id. Without a crop region the center is used.
+const storeCoverPhoto = async (buffer, region, ownerId) => {
+  const hash = hashBuffer(Buffer.concat([buffer, Buffer.from(JSON.stringify(region))]));
+  const output = await renderCropped(buffer, region, COVER_SIZE.width, COVER_SIZE.height);
+
+  return getStorage().save(`${coverPrefix(ownerId)}${hash}.webp`, output);
+};
+
+// Delete stored files by URL, ignoring URLs that did not come from our
+// storage or whose key lies outside `prefix`. Callers pass the owner's
+// prefix so a URL copied from someone else can never delete their file.
+const removeStoredImages = async (urls, prefix) => {
+  const storage = getStorage();
+  const keys = urls
+    .map(url => storage.keyFromUrl(url))
+    .filter(Boolean)
+    .map(key => path.posix.normalize(key))
+    .filter(key => key.startsWith(prefix));
+
+  await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+module.exports = {
+  avatarPrefix,
+  coverPrefix,
+  hashBuffer,
+  isSupportedImage,
+  storePostImage,
+  getThumbnailUrl,
+  getImageSize,
+  parseCrop,
+  storeAvatar,
+  storeCoverPhoto,
+  removeStoredImages
+};
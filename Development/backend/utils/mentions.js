@@ -0,0 +1,59 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { notifyUser } = require('./notifications');
+const { canViewPost } = require('./audience');
+
+// Matches "@username" when it starts a word, so email addresses are skipped
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+
+// Extract the unique usernames mentioned in a piece of text
+const extractMentions = (text) => {
+  if (!text) return [];
+
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    usernames.add(match[2]);
+  }
+  return [...usernames];
+};
+
+// Resolve the mentions in a piece of text to user ids (unknown usernames are dropped)
+const resolveMentions = async (text) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select('_id');
+  return users.map(u => u._id);
+};
+
+// Send a 'mention' notification to each mentioned user, skipping the author
+// and anyone who can't see the post, since the notification quotes it
+const notifyMentions = async ({ userIds, from, post, comment, content }) => {
+  const mentioned = userIds.filter(id => id.toString() !== from.toString());
+  if (mentioned.length === 0) return;
+
+  const shownPost = await Post.findById(post).select('author audience');
+  if (!shownPost) return;
+
+  const users = await User.find({ _id: { $in: mentioned } }).select('following');
+  const recipients = [];
+  for (const user of users) {
+    if (await canViewPost(shownPost, user)) recipients.push(user._id);
+  }
+
+  await Promise.all(recipients.map(userId =>
+    notifyUser(userId, {
+      type: 'mention',
+      from,
+      post,
+      comment,
+      content: content ? content.substring(0, 100) : undefined
+    })
+  ));
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+  notifyMentions
+};
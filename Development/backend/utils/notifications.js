@@ -0,0 +1,16 @@
+const User = require('../models/User');
+const { isBlockedBetween } = require('./blocking');
+
+// Add a notification for a user. Nothing is sent when either side has
+// blocked the other, so blocked users' activity never reaches the inbox.
+const notifyUser = async (recipientId, notification) => {
+  if (await isBlockedBetween(notification.from, recipientId)) return;
+
+  await User.findByIdAndUpdate(recipientId, {
+    $push: { notifications: notification }
+  });
+};
+
+module.exports = {
+  notifyUser
+};
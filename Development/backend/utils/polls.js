@@ -0,0 +1,154 @@
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+const User = require('../models/User');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+const MIN_POLL_DURATION_MINUTES = 5;
+const MAX_POLL_DURATION_DAYS = 7;
+
+const isPollClosed = (poll) => new Date(poll.closesAt) <= new Date();
+
+// Check a poll sent with a new post. Returns an error message, or null if
+// it's fine. `at` is when the post goes out, which is later than now for a
+// scheduled draft; the closing time is checked against it.
+const validatePoll = (poll, at = new Date()) => {
+  if (typeof poll !== 'object' || poll === null || !Array.isArray(poll.options)) {
+    return 'Poll must have a list of options';
+  }
+
+  const options = poll.options.map(option => (typeof option === 'string' ? option.trim() : ''));
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options`;
+  }
+  if (options.some(option => !option || option.length > 100)) {
+    return 'Poll options must be 1 to 100 characters';
+  }
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    return 'Poll options must be different from each other';
+  }
+
+  const closesAt = new Date(poll.closesAt);
+  const now = new Date(at).getTime();
+  if (Number.isNaN(closesAt.getTime())
+    || closesAt.getTime() < now + MIN_POLL_DURATION_MINUTES * 60 * 1000
+    || closesAt.getTime() > now + MAX_POLL_DURATION_DAYS * 24 * 60 * 60 * 1000) {
+    return `Poll must close between ${MIN_POLL_DURATION_MINUTES} minutes and ${MAX_POLL_DURATION_DAYS} days from now`;
+  }
+
+  return null;
+};
+
+// Build the poll to store from a validated request body
+const buildPoll = (poll) => ({
+  options: poll.options.map(text => ({ text: text.trim() })),
+  multipleChoice: Boolean(poll.multipleChoice),
+  closesAt: new Date(poll.closesAt)
+});
+
+// Vote counts per option and number of voters, per post id
+const countVotes = async (postIds) => {
+  const counts = await PollVote.aggregate([
+    { $match: { post: { $in: postIds } } },
+    { $unwind: '$options' },
+    { $group: { _id: { post: '$post', option: '$options' }, votes: { $sum: 1 } } }
+  ]);
+  const voters = await PollVote.aggregate([
+    { $match: { post: { $in: postIds } } },
+    { $group: { _id: '$post', voters: { $sum: 1 } } }
+  ]);
+
+  const byPost = new Map(voters.map(({ _id, voters }) => [_id.toString(), { voters, options: {} }]));
+  counts.forEach(({ _id, votes }) => {
+    const entry = byPost.get(_id.post.toString());
+    if (entry) entry.options[_id.option] = votes;
+  });
+  return byPost;
+};
+
+// How a poll looks to one viewer. Vote counts, and how many people voted,
+// are only included once they have voted or the poll has closed. The
+// poll's author can always see them.
+const viewPoll = (poll, myVotes, tally = { voters: 0, options: {} }, isAuthor = false) => {
+  const closed = isPollClosed(poll);
+  const showResults = closed || myVotes !== null || isAuthor;
+
+  return {
+    options: poll.options.map((option, index) => ({
+      text: option.text,
+      votes: showResults ? tally.options[index] || 0 : null
+    })),
+    multipleChoice: poll.multipleChoice,
+    closesAt: poll.closesAt,
+    closed,
+    totalVoters: showResults ? tally.voters : null,
+    myVotes,
+    showResults
+  };
+};
+
+// Replace the stored poll on each post (or on the original a repost shows)
+// with the viewer's view of it. Expects plain objects, as withSources returns.
+const withPolls = async (posts, viewer) => {
+  const shown = post => (post.repostOf || post);
+  const pollIds = posts.filter(post => shown(post).poll).map(post => shown(post)._id);
+  if (pollIds.length === 0) return posts;
+
+  const votes = await PollVote.find({ user: viewer._id, post: { $in: pollIds } });
+  const myVotes = new Map(votes.map(vote => [vote.post.toString(), vote.options]));
+  const tallies = await countVotes(pollIds);
+
+  const withView = (post) => {
+    if (!post.poll) return post;
+    const id = post._id.toString();
+    const isAuthor = viewer._id.equals(post.author._id || post.author);
+    return { ...post, poll: viewPoll(post.poll, myVotes.get(id) || null, tallies.get(id), isAuthor) };
+  };
+
+  return posts.map(post => (post.repostOf
+    ? { ...post, repostOf: withView(post.repostOf) }
+    : withView(post)));
+};
+
+// Tell the authors of polls that have closed since the last run. Each post
+// is claimed before notifying so its author hears about it once.
+const notifyClosedPolls = async () => {
+  const closed = await Post.find({
+    'poll.closedNotifiedAt': null,
+    'poll.closesAt': { $lte: new Date() }
+  }).select('author content');
+
+  let notified = 0;
+  for (const post of closed) {
+    const claimed = await Post.updateOne(
+      { _id: post._id, 'poll.closedNotifiedAt': null },
+      { $set: { 'poll.closedNotifiedAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await User.findByIdAndUpdate(post.author, {
+      $push: {
+        notifications: {
+          type: 'poll_closed',
+          from: post.author,
+          post: post._id,
+          content: post.content ? post.content.substring(0, 100) : undefined
+        }
+      }
+    });
+    notified += 1;
+  }
+  return notified;
+};
+
+module.exports = {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  isPollClosed,
+  validatePoll,
+  buildPoll,
+  viewPoll,
+  countVotes,
+  withPolls,
+  notifyClosedPolls
+};
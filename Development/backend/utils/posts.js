@@ -0,0 +1,111 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { buildTags } = require('./hashtags');
+const { resolveMentions, notifyMentions } = require('./mentions');
+const { withTopComments } = require('./comments');
+const { withSources, notifyRepost } = require('./reposts');
+const { withBookmarks } = require('./bookmarks');
+const { withPolls } = require('./polls');
+const { getThumbnailUrl } = require('./images');
+
+// Everything posts need before they go out to a viewer: the reposted and
+// quoted originals they may see, their own bookmark state and poll view,
+// and each post's top comment. Returns plain objects.
+const preparePosts = async (posts, viewer, hiddenIds = []) => {
+  const shown = await withSources(posts, viewer, hiddenIds);
+  const withViewerState = await withPolls(await withBookmarks(shown, viewer), viewer);
+  return withTopComments(withViewerState, hiddenIds);
+};
+
+// Build a post, unsaved. `source` is the post being quoted, already checked
+// with findShareSource; `poll` is already built. `thread` places the post
+// in a thread ({ root, position, length }).
+const buildPost = async (authorId, { content, images, tags, location, audience, source, poll, thread }) => new Post({
+  author: authorId,
+  content,
+  images: images || [],
+  thumbnails: (images || []).map(getThumbnailUrl),
+  tags: buildTags(content, tags),
+  mentions: await resolveMentions(content),
+  location: location || '',
+  audience: audience || 'public',
+  quoteOf: source ? source._id : null,
+  poll: poll || null,
+  threadRoot: thread && thread.root ? thread.root : null,
+  threadPosition: thread ? thread.position : 0,
+  threadLength: thread && thread.length ? thread.length : 1
+});
+
+// Let people know about a saved post: the quoted post's author, anyone
+// mentioned, and the author's own post list
+const announcePost = async (post, authorId, source) => {
+  if (source) {
+    await Post.findByIdAndUpdate(source._id, { $inc: { quoteCount: 1 } });
+    await notifyRepost(source, post, authorId);
+  }
+
+  await notifyMentions({
+    userIds: post.mentions,
+    from: authorId,
+    post: post._id,
+    content: post.content
+  });
+
+  // Add post to user's posts array
+  await User.findByIdAndUpdate(
+    authorId,
+    { $push: { posts: post._id } }
+  );
+};
+
+// Create a post and let people know (see buildPost for the fields)
+const publishPost = async (authorId, fields) => {
+  const post = await buildPost(authorId, fields);
+  await post.save();
+  await announcePost(post, authorId, fields.source);
+  return post;
+};
+
+// Publish a thread: the first post as publishPost would, then each of
+// `more` (the text of the posts that follow) linked to it in order. The
+// whole thread shares the first post's location and audience. Every post
+// is validated before any is saved, and a failed save removes the ones
+// already saved, so a thread goes out whole or not at all. Returns the
+// posts in thread order.
+const publishThread = async (authorId, first, more) => {
+  const root = await buildPost(authorId, {
+    ...first,
+    thread: { root: null, position: 0, length: more.length + 1 }
+  });
+
+  const posts = [root];
+  for (const [index, content] of more.entries()) {
+    posts.push(await buildPost(authorId, {
+      content,
+      location: first.location,
+      audience: first.audience,
+      thread: { root: root._id, position: index + 1 }
+    }));
+  }
+
+  await Promise.all(posts.map(post => post.validate()));
+  try {
+    for (const post of posts) {
+      await post.save();
+    }
+  } catch (error) {
+    await Post.deleteMany({ _id: { $in: posts.map(post => post._id) } });
+    throw error;
+  }
+
+  for (const post of posts) {
+    await announcePost(post, authorId, post === root ? first.source : null);
+  }
+  return posts;
+};
+
+module.exports = {
+  preparePosts,
+  publishPost,
+  publishThread
+};
@@ -0,0 +1,20 @@
+// The reactions people can leave on a post, in the order the picker shows
+// them. 'like' is what the original like button maps to. The frontend
+// keeps a matching list with an emoji for each.
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Count reactions per type, with every type present
+const countReactions = (reactions = []) => {
+  const counts = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+  reactions.forEach(reaction => {
+    if (counts[reaction.type] !== undefined) {
+      counts[reaction.type] += 1;
+    }
+  });
+  return counts;
+};
+
+module.exports = {
+  REACTION_TYPES,
+  countReactions
+};
@@ -0,0 +1,138 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { isBlockedBetween, getVisibleAuthorIds } = require('./blocking');
+const { getAudienceCheck } = require('./audience');
+const { notifyUser } = require('./notifications');
+
+const AUTHOR_FIELDS = 'username firstName lastName profilePicture';
+const QUOTE_FIELDS = 'author content images thumbnails audience createdAt';
+
+// Find the post a user wants to repost or quote. Sharing a repost shares
+// its original. Returns null if there is no such post or the user can't see
+// it. Only public posts can be shared, since sharing shows them to others.
+const findShareSource = async (postId, user) => {
+  let source = await Post.findById(postId);
+  if (source && source.repostOf) {
+    source = await Post.findById(source.repostOf);
+  }
+  if (!source) return null;
+  if (source.author.equals(user._id)) return source;
+
+  if (source.audience !== 'public' || await isBlockedBetween(user._id, source.author)) {
+    return null;
+  }
+  const author = await User.findById(source.author).select('isPrivate followers');
+  if (!author || !author.canBeViewedBy(user._id)) return null;
+
+  return source;
+};
+
+// Tell the original's author it was reposted or quoted. A repost points
+// them at their own post, a quote at the new post with its text.
+const notifyRepost = async (source, post, from) => {
+  if (source.author.equals(from)) return;
+
+  await notifyUser(source.author, {
+    type: 'repost',
+    from,
+    post: post.repostOf ? source._id : post._id,
+    content: post.content ? post.content.substring(0, 100) : undefined
+  });
+};
+
+// Take back the repost and quote counts these posts added to their originals
+const releaseSources = async (posts) => {
+  const updates = posts.flatMap(post => [
+    post.repostOf && {
+      updateOne: { filter: { _id: post.repostOf }, update: { $inc: { repostCount: -1 } } }
+    },
+    post.quoteOf && {
+      updateOne: { filter: { _id: post.quoteOf }, update: { $inc: { quoteCount: -1 } } }
+    }
+  ]).filter(Boolean);
+
+  if (updates.length > 0) {
+    await Post.bulkWrite(updates);
+  }
+};
+
+// Delete the reposts of these posts, which have nothing left to show once
+// the original is gone. Quotes stay and show the original as unavailable.
+const deleteRepostsOf = async (postIds) => {
+  const repostIds = await Post.find({ repostOf: { $in: postIds } }).distinct('_id');
+  if (repostIds.length === 0) return;
+
+  await Post.deleteMany({ _id: { $in: repostIds } });
+  await User.updateMany(
+    { posts: { $in: repostIds } },
+    { $pull: { posts: { $in: repostIds } } }
+  );
+};
+
+// Embed the reposted and quoted originals in a list of posts, as plain
+// objects. Reposts of an original the viewer can't see are dropped; quotes
+// keep their own content with quoteUnavailable set. Each post also says
+// whether the viewer has reposted what it shows.
+const withSources = async (posts, viewer, hiddenIds = []) => {
+  if (posts.length === 0) return posts;
+
+  const list = posts.map(post => (typeof post.toJSON === 'function' ? post.toJSON() : post));
+
+  const reposted = await Post.find({ _id: { $in: list.filter(post => post.repostOf).map(post => post.repostOf) } })
+    .populate('author', AUTHOR_FIELDS);
+  const originals = new Map(reposted.map(post => [post._id.toString(), post.toJSON()]));
+
+  const quoteIds = [...list, ...originals.values()]
+    .filter(post => post.quoteOf)
+    .map(post => post.quoteOf);
+  const quoted = await Post.find({ _id: { $in: quoteIds } })
+    .select(QUOTE_FIELDS)
+    .populate('author', AUTHOR_FIELDS)
+    .lean();
+  const quotes = new Map(quoted.map(post => [post._id.toString(), post]));
+
+  // Same rules as opening the original: not hidden, not on a private
+  // account the viewer doesn't follow, and shared with the viewer
+  const authorIds = [...originals.values(), ...quotes.values()]
+    .filter(post => post.author)
+    .map(post => post.author._id);
+  const visibleAuthors = await getVisibleAuthorIds(viewer, authorIds, hiddenIds);
+  const inAudience = await getAudienceCheck(viewer);
+  const canSee = (post) => Boolean(post && post.author
+    && visibleAuthors.has(post.author._id.toString())
+    && inAudience(post));
+
+  const embedQuote = (post) => {
+    if (!post.quoteOf) return post;
+    const quote = quotes.get(post.quoteOf.toString());
+    return canSee(quote)
+      ? { ...post, quoteOf: quote }
+      : { ...post, quoteOf: null, quoteUnavailable: true };
+  };
+
+  const shownIds = [...list.map(post => post._id), ...reposted.map(post => post._id)];
+  const myReposts = await Post.find({ author: viewer._id, repostOf: { $in: shownIds } }).distinct('repostOf');
+  const repostedIds = new Set(myReposts.map(id => id.toString()));
+
+  return list.flatMap(post => {
+    if (!post.repostOf) {
+      return [{ ...embedQuote(post), repostedByMe: repostedIds.has(post._id.toString()) }];
+    }
+
+    const original = originals.get(post.repostOf.toString());
+    if (!canSee(original)) return [];
+    return [{
+      ...post,
+      repostOf: embedQuote(original),
+      repostedByMe: repostedIds.has(original._id.toString())
+    }];
+  });
+};
+
+module.exports = {
+  findShareSource,
+  notifyRepost,
+  releaseSources,
+  deleteRepostsOf,
+  withSources
+};
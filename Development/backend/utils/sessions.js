@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short human-readable label for a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser) return browser[0];
+  if (system) return system[0];
+  return 'Unknown device';
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent') || '',
+    device: describeDevice(req.get('User-Agent')),
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Swap a refresh token for a new token pair. Each refresh token works once;
+// presenting an already-used one revokes the whole session, since it means
+// the token was copied. Returns null when the token can't be used.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await session.revoke();
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip || session.ip;
+  await session.save();
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+    session
+  };
+};
+
+module.exports = {
+  hashToken,
+  describeDevice,
+  signAccessToken,
+  createSession,
+  rotateSession
+};
@@ -0,0 +1,52 @@
+const Post = require('../models/Post');
+
+// Posts a thread can hold, the first one included
+const MAX_THREAD_POSTS = 25;
+
+const isInThread = (post) => Boolean(post.threadRoot) || post.threadLength > 1;
+
+const threadRootId = (post) => post.threadRoot || post._id;
+
+// Every post in the thread a post belongs to, in order
+const getThread = (post) => {
+  const rootId = threadRootId(post);
+  return Post.find({ $or: [{ _id: rootId }, { threadRoot: rootId }] })
+    .sort({ threadPosition: 1 })
+    .populate('author', 'username firstName lastName profilePicture');
+};
+
+// Keep the rest of a thread together when one of its posts is deleted. If
+// the root goes, the next post takes its place in feeds.
+const removeFromThread = async (post) => {
+  if (post.threadRoot) {
+    await Post.updateOne({ _id: post.threadRoot }, { $inc: { threadLength: -1 } });
+    return;
+  }
+  if (post.threadLength <= 1) return;
+
+  const next = await Post.findOne({ threadRoot: post._id }).sort({ threadPosition: 1 });
+  if (!next) return;
+
+  await Post.updateOne(
+    { _id: next._id },
+    { $set: { threadRoot: null, threadLength: post.threadLength - 1 } }
+  );
+  await Post.updateMany({ threadRoot: post._id }, { $set: { threadRoot: next._id } });
+};
+
+// A thread is shown as one piece, so its posts share their audience
+const setThreadAudience = (post, audience) => {
+  const rootId = threadRootId(post);
+  return Post.updateMany(
+    { $or: [{ _id: rootId }, { threadRoot: rootId }] },
+    { $set: { audience } }
+  );
+};
+
+module.exports = {
+  MAX_THREAD_POSTS,
+  isInThread,
+  getThread,
+  removeFromThread,
+  setThreadAudience
+};
@@ -3,13 +3,22 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
+import AccountDeletionBanner from './components/AccountDeletionBanner';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Profile from './pages/Profile';
 import PostDetail from './pages/PostDetail';
 import Search from './pages/Search';
 import Notifications from './pages/Notifications';
+import Tag from './pages/Tag';
+import Bookmarks from './pages/Bookmarks';
+import FollowRequests from './pages/FollowRequests';
+import Settings from './pages/Settings';
 import './App.css';
 
 // Protected Route Component
@@ -40,6 +49,8 @@ function AppContent() {
   return (
     <div className="App">
       {user && <Navbar />}
+      {user && <AccountDeletionBanner />}
+      {user && <VerifyEmailBanner />}
       <main className="main-content">
         <Routes>
           <Route path="/" element={
@@ -57,6 +68,17 @@ function AppContent() {
               <Register />
             </PublicRoute>
           } />
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } />
+          <Route path="/reset-password/:token" element={
+            <PublicRoute>
+              <ResetPassword />
+            </PublicRoute>
+          } />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
           <Route path="/profile/:username" element={
             <ProtectedRoute>
               <Profile />
@@ -77,6 +99,26 @@ function AppContent() {
               <Notifications />
             </ProtectedRoute>
           } />
+          <Route path="/tag/:tag" element={
+            <ProtectedRoute>
+              <Tag />
+            </ProtectedRoute>
+          } />
+          <Route path="/bookmarks" element={
+            <ProtectedRoute>
+              <Bookmarks />
+            </ProtectedRoute>
+          } />
+          <Route path="/follow-requests" element={
+            <ProtectedRoute>
+              <FollowRequests />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings" element={
+            <ProtectedRoute>
+              <Settings />
+            </ProtectedRoute>
+          } />
         </Routes>
       </main>
       <Toaster 
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import './AccountDeletionBanner.css';
+
+// Shown when the signed-in account is waiting out its deletion grace period
+const AccountDeletionBanner = () => {
+  const { user, updateUser } = useAuth();
+  const [cancelling, setCancelling] = useState(false);
+
+  if (!user || !user.deletionScheduledFor) {
+    return null;
+  }
+
+  const handleCancel = async () => {
+    try {
+      setCancelling(true);
+      const response = await axios.post('/api/users/me/cancel-deletion');
+      updateUser({ ...user, deletionScheduledFor: null });
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error cancelling account deletion:', error);
+      const message = error.response?.data?.message || 'Failed to cancel account deletion';
+      toast.error(message);
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <div className="account-deletion-banner">
+      <FaExclamationTriangle className="account-deletion-icon" />
+      <span className="account-deletion-text">
+        Your account is scheduled for deletion on{' '}
+        {new Date(user.deletionScheduledFor).toLocaleDateString()}.
+      </span>
+      <button
+        className="btn btn-secondary"
+        onClick={handleCancel}
+        disabled={cancelling}
+      >
+        {cancelling ? 'Cancelling...' : 'Keep my account'}
+      </button>
+    </div>
+  );
+};
+
+export default AccountDeletionBanner;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaDownload, FaTrash } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import './AccountSettings.css';
+
+// Data export and account deletion
+const AccountSettings = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [exporting, setExporting] = useState(null);
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const response = await axios.get('/api/users/me/export', {
+        params: { format },
+        responseType: 'blob'
+      });
+
+      // Save the file using the name the server suggested
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="?([^"]+)"?/);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `socialapp-export.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      toast.error('Failed to export your data');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('Delete your account? Your posts, comments, reactions and connections will be permanently removed when the grace period ends.')) {
+      return;
+    }
+
+    try {
+      setDeleting(true);
+      const response = await axios.delete('/api/users/me', { data: { password } });
+      toast.success(response.data.message, { duration: 8000 });
+
+      // Every session was revoked, including this one
+      await logout();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      const message = error.response?.data?.message || 'Failed to delete account';
+      toast.error(message);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="settings-section">
+        <div className="settings-section-header">
+          <div>
+            <h2 className="settings-section-title">Download your data</h2>
+            <p className="settings-section-subtitle">
+              Your profile, posts, comments, reactions, bookmarks and connections
+            </p>
+          </div>
+          <div className="account-export-actions">
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleExport('json')}
+              disabled={exporting !== null}
+            >
+              <FaDownload />
+              <span>{exporting === 'json' ? 'Preparing...' : 'JSON'}</span>
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleExport('zip')}
+              disabled={exporting !== null}
+            >
+              <FaDownload />
+              <span>{exporting === 'zip' ? 'Preparing...' : 'ZIP'}</span>
+            </button>
+          </div>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <div className="settings-section-header">
+          <div>
+            <h2 className="settings-section-title">Delete account</h2>
+            <p className="settings-section-subtitle">
+              You'll be logged out everywhere. Your account is deleted after a grace period,
+              and logging back in before then lets you cancel.
+            </p>
+          </div>
+        </div>
+        <form onSubmit={handleDelete} className="account-delete-form">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Confirm your password"
+            autoComplete="current-password"
+            className="account-delete-input"
+            disabled={deleting}
+          />
+          <button type="submit" className="btn btn-danger" disabled={deleting || !password}>
+            <FaTrash />
+            <span>{deleting ? 'Deleting...' : 'Delete account'}</span>
+          </button>
+        </form>
+      </section>
+    </>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { FaGlobeAmericas, FaUserFriends, FaStar, FaLock } from 'react-icons/fa';
+import './AudiencePicker.css';
+
+// Matches the audiences on the server, widest first
+export const AUDIENCES = [
+  { value: 'public', label: 'Public', icon: FaGlobeAmericas, description: 'Anyone' },
+  { value: 'followers', label: 'Followers', icon: FaUserFriends, description: 'People who follow you' },
+  { value: 'close_friends', label: 'Close friends', icon: FaStar, description: 'Your close friends list' },
+  { value: 'only_me', label: 'Only me', icon: FaLock, description: 'Just you' }
+];
+
+export const getAudience = (value) => AUDIENCES.find(audience => audience.value === value) || AUDIENCES[0];
+
+// Who a post is shown to, as a compact dropdown with the current choice's icon
+const AudiencePicker = ({ value, onChange, disabled = false }) => {
+  const { icon: Icon, description } = getAudience(value);
+
+  return (
+    <label className={`audience-picker ${value}`} title={`Who can see this: ${description}`}>
+      <Icon className="audience-icon" />
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="audience-select"
+        disabled={disabled}
+      >
+        {AUDIENCES.map(audience => (
+          <option key={audience.value} value={audience.value}>
+            {audience.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default AudiencePicker;
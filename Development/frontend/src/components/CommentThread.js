@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaHeart } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import RichText from './RichText';
+import './CommentThread.css';
+
+// Matches MAX_COMMENT_DEPTH on the server: deeper replies are shown at this level
+const MAX_DEPTH = 3;
+const PAGE_SIZE = 20;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'top', label: 'Top' }
+];
+
+const formatDate = (dateString) => {
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// One paged list of comments: the top level of a post, or the replies to a
+// single comment (parentId)
+const CommentList = ({ postId, parentId = null, sort, depth, canModerate, onCountChange, onPostInteraction }) => {
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchComments = useCallback(async (cursor = null) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/posts/${postId}/comments`, {
+        params: {
+          sort,
+          limit: PAGE_SIZE,
+          parent: parentId || undefined,
+          cursor: cursor || undefined
+        }
+      });
+
+      const { comments: page, nextCursor: next } = response.data;
+      setComments(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(next);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, parentId, sort]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const handleDelete = async (commentId) => {
+    try {
+      const response = await axios.delete(`/api/interactions/comment/${postId}/${commentId}`);
+
+      setComments(prev => prev.filter(comment => comment._id !== commentId));
+      if (onCountChange) {
+        onCountChange(-1);
+      }
+      if (onPostInteraction) {
+        onPostInteraction(response.data.post);
+      }
+
+      toast.success('Comment deleted!');
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      const message = error.response?.data?.message || 'Failed to delete comment';
+      toast.error(message);
+    }
+  };
+
+  // Replies past the depth limit are attached beside their target, in this list
+  const handleSiblingAdded = (comment) => {
+    setComments(prev => [...prev, comment]);
+    if (onCountChange) {
+      onCountChange(1);
+    }
+  };
+
+  return (
+    <div className="comments-list">
+      {comments.map(comment => (
+        <CommentNode
+          key={comment._id}
+          comment={comment}
+          depth={depth}
+          postId={postId}
+          canModerate={canModerate}
+          onDelete={handleDelete}
+          onSiblingAdded={handleSiblingAdded}
+          onPostInteraction={onPostInteraction}
+        />
+      ))}
+
+      {loading && <div className="comments-loading">Loading...</div>}
+
+      {!loading && nextCursor && (
+        <button
+          className="comment-action load-more-comments"
+          onClick={() => fetchComments(nextCursor)}
+        >
+          {parentId ? 'More replies' : 'Load more comments'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const CommentNode = ({ comment, depth, postId, canModerate, onDelete, onSiblingAdded, onPostInteraction }) => {
+  const { user } = useAuth();
+  const [replyCount, setReplyCount] = useState(comment.replyCount || 0);
+  const [isLiked, setIsLiked] = useState(Boolean(comment.isLiked));
+  const [likeCount, setLikeCount] = useState(comment.likeCount || 0);
+  const [liking, setLiking] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [repliesVersion, setRepliesVersion] = useState(0);
+  const [showReplyForm, setShowReplyForm] = useState(false);
+  const [replyContent, setReplyContent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [content, setContent] = useState(comment.content);
+  const [editedAt, setEditedAt] = useState(comment.editedAt || null);
+  const [editing, setEditing] = useState(false);
+  const [editContent, setEditContent] = useState(comment.content);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const handleLike = async () => {
+    if (liking) return;
+
+    setLiking(true);
+    try {
+      const response = await axios.post(`/api/interactions/comment/${postId}/${comment._id}/like`);
+      setIsLiked(response.data.isLiked);
+      setLikeCount(response.data.likeCount);
+    } catch (error) {
+      console.error('Error liking comment:', error);
+      const message = error.response?.data?.message || 'Failed to like comment';
+      toast.error(message);
+    } finally {
+      setLiking(false);
+    }
+  };
+
+  const handleEdit = async (e) => {
+    e.preventDefault();
+
+    if (!editContent.trim()) {
+      toast.error('Comment cannot be empty');
+      return;
+    }
+
+    setSavingEdit(true);
+    try {
+      const response = await axios.put(
+        `/api/interactions/comment/${postId}/${comment._id}`,
+        { content: editContent }
+      );
+      const { comment: updated } = response.data;
+
+      setContent(updated.content);
+      setEditedAt(updated.editedAt);
+      setHistory(null);
+      setShowHistory(false);
+      setEditing(false);
+      toast.success('Comment updated!');
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      const message = error.response?.data?.message || 'Failed to edit comment';
+      toast.error(message);
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  const toggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+
+    try {
+      if (!history) {
+        const response = await axios.get(
+          `/api/interactions/comment/${postId}/${comment._id}/history`
+        );
+        setHistory(response.data.versions);
+      }
+      setShowHistory(true);
+    } catch (error) {
+      console.error('Error fetching comment history:', error);
+      toast.error('Failed to load edit history');
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+
+    if (!replyContent.trim()) {
+      toast.error('Please write a reply');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post(
+        `/api/interactions/comment/${postId}/${comment._id}/reply`,
+        { content: replyContent }
+      );
+      const { post: updatedPost, comment: reply } = response.data;
+
+      if (onPostInteraction) {
+        onPostInteraction(updatedPost);
+      }
+
+      if (reply.parent === comment._id) {
+        // Reload the open replies so the new one shows up in place
+        setReplyCount(count => count + 1);
+        setRepliesVersion(version => version + 1);
+        setShowReplies(true);
+      } else {
+        onSiblingAdded({ ...reply, canEdit: true });
+      }
+
+      setReplyContent('');
+      setShowReplyForm(false);
+      toast.success('Reply added!');
+    } catch (error) {
+      console.error('Error adding reply:', error);
+      const message = error.response?.data?.message || 'Failed to add reply';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="comment-thread">
+      <div className="comment-item">
+        <div className="comment-author">
+          <Link to={`/profile/${comment.user.username}`}>
+            <img
+              src={comment.user.profilePicture || '/default-avatar.png'}
+              alt={comment.user.username}
+              className="comment-avatar"
+              onError={(e) => {
+                e.target.src = '/default-avatar.png';
+              }}
+            />
+          </Link>
+          <div className="comment-content">
+            <div className="comment-header">
+              <Link to={`/profile/${comment.user.username}`} className="comment-author-name">
+                {comment.user.firstName} {comment.user.lastName}
+              </Link>
+              <span className="comment-time">
+                {formatDate(comment.createdAt)}
+              </span>
+              {editedAt && (
+                <button
+                  className="comment-edited"
+                  onClick={toggleHistory}
+                  title="View edit history"
+                >
+                  edited
+                </button>
+              )}
+            </div>
+
+            {editing ? (
+              <form onSubmit={handleEdit} className="comment-form comment-edit-form">
+                <textarea
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  className="comment-input"
+                  rows="2"
+                  maxLength="1000"
+                  disabled={savingEdit}
+                  autoFocus
+                />
+                <div className="comment-form-actions">
+                  <button
+                    type="button"
+                    className="btn btn-secondary cancel-btn"
+                    onClick={() => {
+                      setEditing(false);
+                      setEditContent(content);
+                    }}
+                    disabled={savingEdit}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="btn btn-primary submit-btn"
+                    disabled={savingEdit || !editContent.trim()}
+                  >
+                    {savingEdit ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <RichText text={content} className="comment-text" />
+            )}
+
+            {showHistory && history && (
+              <ul className="comment-history">
+                {history.map((version, index) => (
+                  <li key={index} className="comment-history-item">
+                    <span className="comment-history-time">
+                      {version.current ? 'Current' : formatDate(version.createdAt)}
+                    </span>
+                    <span className="comment-history-text">{version.content}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="comment-actions">
+              <button
+                className={`comment-action comment-like ${isLiked ? 'liked' : ''}`}
+                onClick={handleLike}
+                disabled={liking}
+                title={isLiked ? 'Unlike' : 'Like'}
+              >
+                <FaHeart />
+                {likeCount > 0 && <span>{likeCount}</span>}
+              </button>
+              <button
+                className="comment-action"
+                onClick={() => setShowReplyForm(!showReplyForm)}
+              >
+                Reply
+              </button>
+              {comment.canEdit && !editing && (
+                <button
+                  className="comment-action"
+                  onClick={() => setEditing(true)}
+                >
+                  Edit
+                </button>
+              )}
+              {replyCount > 0 && (
+                <button
+                  className="comment-action"
+                  onClick={() => setShowReplies(!showReplies)}
+                >
+                  {showReplies
+                    ? 'Hide replies'
+                    : `View ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {(comment.user._id === user._id || canModerate) && (
+          <button
+            className="delete-comment-btn"
+            onClick={() => onDelete(comment._id)}
+            title="Delete comment"
+          >
+            ×
+          </button>
+        )}
+      </div>
+
+      {showReplyForm && (
+        <form onSubmit={handleReply} className="comment-form reply-form">
+          <textarea
+            value={replyContent}
+            onChange={(e) => setReplyContent(e.target.value)}
+            placeholder={`Reply to ${comment.user.firstName}...`}
+            className="comment-input"
+            rows="2"
+            maxLength="1000"
+            disabled={submitting}
+            autoFocus
+          />
+          <div className="comment-form-actions">
+            <button
+              type="button"
+              className="btn btn-secondary cancel-btn"
+              onClick={() => {
+                setShowReplyForm(false);
+                setReplyContent('');
+              }}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary submit-btn"
+              disabled={submitting || !replyContent.trim()}
+            >
+              {submitting ? 'Posting...' : 'Reply'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {showReplies && replyCount > 0 && (
+        <div className={`comment-replies ${depth < MAX_DEPTH ? 'nested' : ''}`}>
+          <CommentList
+            key={repliesVersion}
+            postId={postId}
+            parentId={comment._id}
+            sort="oldest"
+            depth={Math.min(depth + 1, MAX_DEPTH)}
+            canModerate={canModerate}
+            onCountChange={(delta) => setReplyCount(count => Math.max(count + delta, 0))}
+            onPostInteraction={onPostInteraction}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A post's comments, loaded a page at a time with a sort picker. Replies
+// are fetched when their thread is opened.
+const CommentThread = ({ postId, canModerate, onPostInteraction }) => {
+  const [sort, setSort] = useState('newest');
+
+  return (
+    <>
+      <div className="comments-sort">
+        {SORT_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            className={`comments-sort-option ${sort === option.value ? 'active' : ''}`}
+            onClick={() => setSort(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <CommentList
+        postId={postId}
+        sort={sort}
+        depth={0}
+        canModerate={canModerate}
+        onPostInteraction={onPostInteraction}
+      />
+    </>
+  );
+};
+
+export default CommentThread;
@@ -1,19 +1,115 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { FaImage, FaMapMarkerAlt, FaEye, FaEyeSlash } from 'react-icons/fa';
+import { FaImage, FaMapMarkerAlt, FaTimes, FaArrowLeft, FaArrowRight, FaPoll, FaPlus, FaRegClock, FaRegFileAlt, FaStream } from 'react-icons/fa';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import DraftsPanel from './DraftsPanel';
+import AudiencePicker from './AudiencePicker';
 import './CreatePost.css';
 
+const MAX_IMAGES = 4;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB, matches the server limit
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Matches the poll limits on the server
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+const POLL_DURATIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' }
+];
+const EMPTY_POLL = { options: ['', ''], multipleChoice: false, hours: 24 };
+const EMPTY_FORM = { content: '', location: '', audience: 'public' };
+
+// Matches MAX_THREAD_POSTS on the server (the first post included)
+const MAX_THREAD_POSTS = 25;
+
+// How long typing has to pause before the draft is saved
+const AUTOSAVE_DELAY = 1500;
+
+// A date as a datetime-local input value, in the user's own time zone
+const toLocalInput = (date) => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
+
 const CreatePost = ({ onPostCreated }) => {
   const { user } = useAuth();
-  const [formData, setFormData] = useState({
-    content: '',
-    location: '',
-    isPublic: true
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // [{ file, previewUrl }] until uploaded, [{ url, previewUrl }] after
+  const [images, setImages] = useState([]);
+  const [poll, setPoll] = useState(null);
+  const [thread, setThread] = useState([]); // text of the posts after the first
+  const [scheduledFor, setScheduledFor] = useState(''); // datetime-local value
+  const [scheduling, setScheduling] = useState(false);
   const [loading, setLoading] = useState(false);
   const [showForm, setShowForm] = useState(false);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [saveStatus, setSaveStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  // The draft being written. Saves are chained so the first one creates
+  // the draft and the rest update it, in order.
+  const draftIdRef = useRef(null);
+  const savingRef = useRef(Promise.resolve());
+  const autosaveTimerRef = useRef(null);
+
+  // Release preview URLs when the component goes away
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  useEffect(() => {
+    return () => imagesRef.current.forEach(image => URL.revokeObjectURL(image.previewUrl));
+  }, []);
+
+  const hasDraftContent = Boolean(formData.content.trim() || poll || thread.some(part => part.trim()));
+
+  // What's worth keeping of the post so far. Images only count once
+  // they've been uploaded.
+  const getDraft = useCallback(() => ({
+    ...formData,
+    thread,
+    images: images.filter(image => image.url).map(image => image.url),
+    poll: poll ? {
+      options: poll.options,
+      multipleChoice: poll.multipleChoice,
+      durationHours: poll.hours
+    } : null
+  }), [formData, thread, images, poll]);
+
+  const saveDraft = useCallback((changes = {}) => {
+    const draft = { ...getDraft(), ...changes };
+    savingRef.current = savingRef.current
+      .catch(() => null)
+      .then(async () => {
+        const response = draftIdRef.current
+          ? await axios.put(`/api/drafts/${draftIdRef.current}`, draft)
+          : await axios.post('/api/drafts', draft);
+        draftIdRef.current = response.data.draft._id;
+        return response.data.draft;
+      });
+    return savingRef.current;
+  }, [getDraft]);
+
+  const cancelAutosave = () => clearTimeout(autosaveTimerRef.current);
+
+  // Save the draft once typing pauses
+  useEffect(() => {
+    if (!showForm || !hasDraftContent) return undefined;
+
+    autosaveTimerRef.current = setTimeout(() => {
+      setSaveStatus('Saving...');
+      saveDraft()
+        .then(() => setSaveStatus('Draft saved'))
+        .catch(error => {
+          console.error('Error saving draft:', error);
+          setSaveStatus("Couldn't save draft");
+        });
+    }, AUTOSAVE_DELAY);
+    return cancelAutosave;
+  }, [hasDraftContent, saveDraft, showForm]);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -23,6 +119,164 @@ const CreatePost = ({ onPostCreated }) => {
     }));
   };
 
+  const handleImageSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const valid = files.filter(file => {
+      if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+        toast.error(`${file.name} is not a supported image type`);
+        return false;
+      }
+      if (file.size > MAX_IMAGE_SIZE) {
+        toast.error(`${file.name} is larger than 5MB`);
+        return false;
+      }
+      return true;
+    });
+
+    const available = MAX_IMAGES - images.length;
+    if (valid.length > available) {
+      toast.error(`You can attach up to ${MAX_IMAGES} images`);
+    }
+
+    const added = valid.slice(0, Math.max(available, 0)).map(file => ({
+      file,
+      previewUrl: URL.createObjectURL(file)
+    }));
+    setImages(prev => [...prev, ...added]);
+  };
+
+  const handleRemoveImage = (index) => {
+    setImages(prev => {
+      URL.revokeObjectURL(prev[index].previewUrl);
+      return prev.filter((_, i) => i !== index);
+    });
+  };
+
+  const handleMoveImage = (index, direction) => {
+    setImages(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const reordered = [...prev];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  const clearImages = () => {
+    images.forEach(image => URL.revokeObjectURL(image.previewUrl));
+    setImages([]);
+  };
+
+  const updatePollOption = (index, value) => {
+    setPoll(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => (i === index ? value : option))
+    }));
+  };
+
+  const addPollOption = () => {
+    setPoll(prev => ({ ...prev, options: [...prev.options, ''] }));
+  };
+
+  const removePollOption = (index) => {
+    setPoll(prev => ({ ...prev, options: prev.options.filter((_, i) => i !== index) }));
+  };
+
+  const updateThreadPart = (index, value) => {
+    setThread(prev => prev.map((part, i) => (i === index ? value : part)));
+  };
+
+  const addThreadPart = () => {
+    setThread(prev => [...prev, '']);
+  };
+
+  const removeThreadPart = (index) => {
+    setThread(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Upload the images that aren't yet, and return every image's URL in order
+  const uploadImages = async () => {
+    const pending = images.filter(image => image.file);
+    if (pending.length === 0) return images.map(image => image.url);
+
+    const data = new FormData();
+    pending.forEach(image => data.append('images', image.file));
+
+    const response = await axios.post('/api/uploads', data);
+    const uploaded = response.data.images.map(image => image.url);
+    return images.map(image => (image.file ? uploaded.shift() : image.url));
+  };
+
+  const resetForm = () => {
+    cancelAutosave();
+    // The next post starts a new draft, once saves of this one are done
+    savingRef.current = savingRef.current
+      .catch(() => null)
+      .then(() => { draftIdRef.current = null; });
+    setFormData(EMPTY_FORM);
+    clearImages();
+    setPoll(null);
+    setThread([]);
+    setScheduledFor('');
+    setScheduling(false);
+    setSaveStatus('');
+    setShowForm(false);
+  };
+
+  // Set the post up to publish later instead of now
+  const schedulePost = async () => {
+    const imageUrls = await uploadImages();
+    const draft = await saveDraft({
+      images: imageUrls,
+      scheduledFor: new Date(scheduledFor).toISOString()
+    });
+
+    resetForm();
+    toast.success(`Post scheduled for ${new Date(draft.scheduledFor).toLocaleString()}`);
+  };
+
+  const unschedulePost = async () => {
+    setScheduledFor('');
+    setScheduling(false);
+    if (!draftIdRef.current) return;
+
+    try {
+      await saveDraft({ scheduledFor: null });
+      toast.success('Post unscheduled and kept as a draft');
+    } catch (error) {
+      console.error('Error unscheduling post:', error);
+      toast.error('Failed to unschedule post');
+    }
+  };
+
+  const handleResumeDraft = async (draft) => {
+    // Let saves of what was being written finish before switching drafts
+    cancelAutosave();
+    await savingRef.current.catch(() => null);
+    clearImages();
+
+    draftIdRef.current = draft._id;
+    setFormData({
+      content: draft.content,
+      location: draft.location,
+      audience: draft.audience
+    });
+    setImages(draft.images.map(url => ({ url, previewUrl: url })));
+    setPoll(draft.poll ? {
+      options: draft.poll.options,
+      multipleChoice: draft.poll.multipleChoice,
+      hours: draft.poll.durationHours
+    } : null);
+    setThread(draft.thread || []);
+    setScheduledFor(draft.scheduledFor ? toLocalInput(draft.scheduledFor) : '');
+    setScheduling(Boolean(draft.scheduledFor));
+    setSaveStatus('');
+    setShowDrafts(false);
+    setShowForm(true);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -31,46 +285,114 @@ const CreatePost = ({ onPostCreated }) => {
       return;
     }
 
+    if (thread.some(part => !part.trim())) {
+      toast.error('Please write something in every post of the thread, or remove the empty ones');
+      return;
+    }
+
+    if (poll && poll.options.some(option => !option.trim())) {
+      toast.error('Please fill in every poll option');
+      return;
+    }
+
+    if (scheduling && (!scheduledFor || new Date(scheduledFor) <= new Date())) {
+      toast.error('Please pick a time in the future');
+      return;
+    }
+
     setLoading(true);
+    cancelAutosave();
     
     try {
-      const response = await axios.post('/api/posts', formData);
-      const newPost = response.data.post;
-      
-      // Reset form
-      setFormData({
-        content: '',
-        location: '',
-        isPublic: true
+      if (scheduling) {
+        await schedulePost();
+        return;
+      }
+
+      const imageUrls = await uploadImages();
+      // Publishing removes the draft, so wait for any save still on its way
+      await savingRef.current.catch(() => null);
+      const response = await axios.post('/api/posts', {
+        ...formData,
+        images: imageUrls,
+        poll: poll ? {
+          options: poll.options,
+          multipleChoice: poll.multipleChoice,
+          closesAt: new Date(Date.now() + poll.hours * 60 * 60 * 1000).toISOString()
+        } : undefined,
+        thread: thread.length > 0 ? thread : undefined,
+        draftId: draftIdRef.current || undefined
       });
+      const newPost = response.data.post;
       
-      setShowForm(false);
+      resetForm();
       
       // Notify parent component
       onPostCreated(newPost);
       
     } catch (error) {
-      console.error('Error creating post:', error);
-      const message = error.response?.data?.message || 'Failed to create post';
+      console.error(scheduling ? 'Error scheduling post:' : 'Error creating post:', error);
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || (scheduling ? 'Failed to schedule post' : 'Failed to create post');
       toast.error(message);
     } finally {
       setLoading(false);
     }
   };
 
+  // Closing the composer keeps what was written as a draft
   const handleCancel = () => {
-    setFormData({
-      content: '',
-      location: '',
-      isPublic: true
-    });
-    setShowForm(false);
+    if (hasDraftContent) {
+      cancelAutosave();
+      saveDraft()
+        .then(() => toast.success('Draft saved'))
+        .catch(error => {
+          console.error('Error saving draft:', error);
+          toast.error("Couldn't save your draft");
+        });
+    }
+    resetForm();
   };
 
+  const draftsPanel = showDrafts && (
+    <DraftsPanel onResume={handleResumeDraft} onClose={() => setShowDrafts(false)} />
+  );
+
   if (!showForm) {
     return (
-      <div className="create-post-trigger">
-        <div className="trigger-content" onClick={() => setShowForm(true)}>
+      <>
+        <div className="create-post-trigger">
+          <div className="trigger-content" onClick={() => setShowForm(true)}>
+            <img
+              src={user.profilePicture || '/default-avatar.png'}
+              alt={user.username}
+              className="user-avatar"
+              onError={(e) => {
+                e.target.src = '/default-avatar.png';
+              }}
+            />
+            <span className="trigger-text">What's happening?</span>
+          </div>
+          <button
+            type="button"
+            className="drafts-btn"
+            onClick={() => setShowDrafts(!showDrafts)}
+            title="Drafts and scheduled posts"
+          >
+            <FaRegFileAlt />
+            <span>Drafts</span>
+          </button>
+        </div>
+        {draftsPanel}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="create-post">
+        <div className="post-header">
           <img
             src={user.profilePicture || '/default-avatar.png'}
             alt={user.username}
@@ -79,104 +401,288 @@ const CreatePost = ({ onPostCreated }) => {
               e.target.src = '/default-avatar.png';
             }}
           />
-          <span className="trigger-text">What's happening?</span>
-        </div>
-      </div>
-    );
-  }
+          <div className="post-form-container">
+            <form onSubmit={handleSubmit} className="post-form">
+              <textarea
+                name="content"
+                value={formData.content}
+                onChange={handleChange}
+                placeholder="What's happening?"
+                className="post-content-input"
+                rows="3"
+                maxLength="5000"
+                disabled={loading}
+              />
 
-  return (
-    <div className="create-post">
-      <div className="post-header">
-        <img
-          src={user.profilePicture || '/default-avatar.png'}
-          alt={user.username}
-          className="user-avatar"
-          onError={(e) => {
-            e.target.src = '/default-avatar.png';
-          }}
-        />
-        <div className="post-form-container">
-          <form onSubmit={handleSubmit} className="post-form">
-            <textarea
-              name="content"
-              value={formData.content}
-              onChange={handleChange}
-              placeholder="What's happening?"
-              className="post-content-input"
-              rows="3"
-              maxLength="5000"
-              disabled={loading}
-            />
-            
-            <div className="post-options">
-              <div className="option-row">
-                <div className="location-input">
-                  <FaMapMarkerAlt className="option-icon" />
-                  <input
-                    type="text"
-                    name="location"
-                    value={formData.location}
-                    onChange={handleChange}
-                    placeholder="Add location (optional)"
-                    className="location-field"
+              {images.length > 0 && (
+                <div className="image-previews">
+                  {images.map((image, index) => (
+                    <div key={image.previewUrl} className="image-preview">
+                      <img src={image.previewUrl} alt={`Attachment ${index + 1}`} />
+                      <div className="image-preview-controls">
+                        <button
+                          type="button"
+                          className="image-control"
+                          onClick={() => handleMoveImage(index, -1)}
+                          disabled={loading || index === 0}
+                          title="Move left"
+                        >
+                          <FaArrowLeft />
+                        </button>
+                        <button
+                          type="button"
+                          className="image-control"
+                          onClick={() => handleMoveImage(index, 1)}
+                          disabled={loading || index === images.length - 1}
+                          title="Move right"
+                        >
+                          <FaArrowRight />
+                        </button>
+                        <button
+                          type="button"
+                          className="image-control remove"
+                          onClick={() => handleRemoveImage(index)}
+                          disabled={loading}
+                          title="Remove image"
+                        >
+                          <FaTimes />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              
+              {poll && (
+                <div className="poll-composer">
+                  {poll.options.map((option, index) => (
+                    <div key={index} className="poll-composer-option">
+                      <input
+                        type="text"
+                        value={option}
+                        onChange={(e) => updatePollOption(index, e.target.value)}
+                        placeholder={`Option ${index + 1}`}
+                        className="poll-option-input"
+                        maxLength="100"
+                        disabled={loading}
+                      />
+                      {poll.options.length > MIN_POLL_OPTIONS && (
+                        <button
+                          type="button"
+                          className="image-control remove"
+                          onClick={() => removePollOption(index)}
+                          disabled={loading}
+                          title="Remove option"
+                        >
+                          <FaTimes />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+
+                  <div className="poll-composer-settings">
+                    {poll.options.length < MAX_POLL_OPTIONS && (
+                      <button
+                        type="button"
+                        className="poll-add-option"
+                        onClick={addPollOption}
+                        disabled={loading}
+                      >
+                        <FaPlus /> Add option
+                      </button>
+                    )}
+                    <select
+                      value={poll.hours}
+                      onChange={(e) => setPoll(prev => ({ ...prev, hours: Number(e.target.value) }))}
+                      className="poll-duration"
+                      disabled={loading}
+                    >
+                      {POLL_DURATIONS.map(duration => (
+                        <option key={duration.hours} value={duration.hours}>
+                          Closes in {duration.label}
+                        </option>
+                      ))}
+                    </select>
+                    <label className="poll-multiple">
+                      <input
+                        type="checkbox"
+                        checked={poll.multipleChoice}
+                        onChange={(e) => setPoll(prev => ({ ...prev, multipleChoice: e.target.checked }))}
+                        disabled={loading}
+                      />
+                      Allow multiple choices
+                    </label>
+                    <button
+                      type="button"
+                      className="poll-remove"
+                      onClick={() => setPoll(null)}
+                      disabled={loading}
+                    >
+                      Remove poll
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {thread.length > 0 && (
+                <div className="thread-composer">
+                  {thread.map((part, index) => (
+                    <div key={index} className="thread-composer-part">
+                      <div className="thread-composer-header">
+                        <span>{index + 2}/{thread.length + 1}</span>
+                        <button
+                          type="button"
+                          className="image-control remove"
+                          onClick={() => removeThreadPart(index)}
+                          disabled={loading}
+                          title="Remove this post"
+                        >
+                          <FaTimes />
+                        </button>
+                      </div>
+                      <textarea
+                        value={part}
+                        onChange={(e) => updateThreadPart(index, e.target.value)}
+                        placeholder="Add another post"
+                        className="post-content-input"
+                        rows="2"
+                        maxLength="5000"
+                        disabled={loading}
+                      />
+                      <div className="character-count">
+                        {part.length}/5000
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              
+              <div className="post-options">
+                <div className="option-row">
+                  <button
+                    type="button"
+                    className="image-picker-btn"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={loading || images.length >= MAX_IMAGES}
+                    title="Add images"
+                  >
+                    <FaImage className="option-icon" />
+                    <span>Photo</span>
+                  </button>
+                  <button
+                    type="button"
+                    className={`poll-picker-btn ${poll ? 'active' : ''}`}
+                    onClick={() => setPoll(poll ? null : EMPTY_POLL)}
+                    disabled={loading}
+                    title={poll ? 'Remove poll' : 'Add a poll'}
+                  >
+                    <FaPoll className="option-icon" />
+                    <span>Poll</span>
+                  </button>
+                  <button
+                    type="button"
+                    className="thread-picker-btn"
+                    onClick={addThreadPart}
+                    disabled={loading || thread.length >= MAX_THREAD_POSTS - 1}
+                    title="Add another post to make a thread"
+                  >
+                    <FaStream className="option-icon" />
+                    <span>Thread</span>
+                  </button>
+                  <button
+                    type="button"
+                    className={`schedule-picker-btn ${scheduling ? 'active' : ''}`}
+                    onClick={() => (scheduling ? unschedulePost() : setScheduling(true))}
                     disabled={loading}
+                    title={scheduling ? 'Post now instead' : 'Schedule for later'}
+                  >
+                    <FaRegClock className="option-icon" />
+                    <span>Schedule</span>
+                  </button>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={ALLOWED_IMAGE_TYPES.join(',')}
+                    multiple
+                    onChange={handleImageSelect}
+                    className="image-file-input"
                   />
-                </div>
-                
-                <div className="privacy-toggle">
-                  <label className="privacy-label">
+
+                  <div className="location-input">
+                    <FaMapMarkerAlt className="option-icon" />
                     <input
-                      type="checkbox"
-                      name="isPublic"
-                      checked={formData.isPublic}
+                      type="text"
+                      name="location"
+                      value={formData.location}
                       onChange={handleChange}
-                      className="privacy-checkbox"
+                      placeholder="Add location (optional)"
+                      className="location-field"
                       disabled={loading}
                     />
-                    <span className="privacy-text">
-                      {formData.isPublic ? (
-                        <>
-                          <FaEye className="privacy-icon" />
-                          Public
-                        </>
-                      ) : (
-                        <>
-                          <FaEyeSlash className="privacy-icon" />
-                          Private
-                        </>
-                      )}
-                    </span>
-                  </label>
+                  </div>
+                  
+                  <AudiencePicker
+                    value={formData.audience}
+                    onChange={(audience) => setFormData(prev => ({ ...prev, audience }))}
+                    disabled={loading}
+                  />
+                </div>
+                
+                <div className="character-count">
+                  {saveStatus && <span className="save-status">{saveStatus} · </span>}
+                  {formData.content.length}/5000
                 </div>
               </div>
+
+              {scheduling && (
+                <div className="schedule-picker">
+                  <FaRegClock className="option-icon" />
+                  <label htmlFor="scheduledFor">Publish on</label>
+                  <input
+                    id="scheduledFor"
+                    type="datetime-local"
+                    value={scheduledFor}
+                    min={toLocalInput(new Date())}
+                    onChange={(e) => setScheduledFor(e.target.value)}
+                    className="schedule-input"
+                    disabled={loading}
+                  />
+                </div>
+              )}
               
-              <div className="character-count">
-                {formData.content.length}/5000
+              <div className="post-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary drafts-open-btn"
+                  onClick={() => setShowDrafts(!showDrafts)}
+                  disabled={loading}
+                >
+                  Drafts
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary cancel-btn"
+                  onClick={handleCancel}
+                  disabled={loading}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-primary post-btn"
+                  disabled={loading || !formData.content.trim()}
+                >
+                  {scheduling
+                    ? (loading ? 'Scheduling...' : 'Schedule')
+                    : (loading ? 'Posting...' : 'Post')}
+                </button>
               </div>
-            </div>
-            
-            <div className="post-actions">
-              <button
-                type="button"
-                className="btn btn-secondary cancel-btn"
-                onClick={handleCancel}
-                disabled={loading}
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                className="btn btn-primary post-btn"
-                disabled={loading || !formData.content.trim()}
-              >
-                {loading ? 'Posting...' : 'Post'}
-              </button>
-            </div>
-          </form>
+            </form>
+          </div>
         </div>
       </div>
-    </div>
+      {draftsPanel}
+    </>
   );
 };
 
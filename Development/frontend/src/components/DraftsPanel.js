@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { FaRegClock, FaTimes, FaExclamationCircle } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './DraftsPanel.css';
+
+const formatDate = (dateString) => {
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// The user's saved drafts and scheduled posts, to pick one up again in the
+// composer or throw it away
+const DraftsPanel = ({ onResume, onClose }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchDrafts(1);
+  }, []);
+
+  const fetchDrafts = async (pageNum) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/drafts?page=${pageNum}&limit=10`);
+      const { drafts: newDrafts, totalPages } = response.data;
+      setDrafts(prev => (pageNum === 1 ? newDrafts : [...prev, ...newDrafts]));
+      setPage(pageNum);
+      setHasMore(pageNum < totalPages);
+    } catch (error) {
+      console.error('Error fetching drafts:', error);
+      toast.error('Failed to load drafts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (draftId) => {
+    if (!window.confirm('Delete this draft?')) return;
+
+    try {
+      await axios.delete(`/api/drafts/${draftId}`);
+      setDrafts(prev => prev.filter(draft => draft._id !== draftId));
+      toast.success('Draft deleted');
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      toast.error('Failed to delete draft');
+    }
+  };
+
+  return (
+    <div className="drafts-panel">
+      <div className="drafts-panel-header">
+        <h3>Drafts</h3>
+        <button type="button" className="drafts-close" onClick={onClose} title="Close">
+          <FaTimes />
+        </button>
+      </div>
+
+      {!loading && drafts.length === 0 && (
+        <p className="drafts-empty">No drafts. Posts you start writing are saved here.</p>
+      )}
+
+      <div className="drafts-list">
+        {drafts.map(draft => (
+          <div key={draft._id} className="draft-item">
+            <div className="draft-body">
+              <p className="draft-content">
+                {draft.content.trim() || <em>No text yet</em>}
+              </p>
+              <div className="draft-meta">
+                {draft.scheduledFor ? (
+                  <span
+                    className="draft-scheduled"
+                    title={new Date(draft.scheduledFor).toLocaleString()}
+                  >
+                    <FaRegClock /> Publishes {formatDate(draft.scheduledFor)}
+                  </span>
+                ) : (
+                  <span>Edited {formatDate(draft.updatedAt)}</span>
+                )}
+                {draft.images.length > 0 && (
+                  <span>{draft.images.length} {draft.images.length === 1 ? 'image' : 'images'}</span>
+                )}
+                {draft.poll && <span>Poll</span>}
+              </div>
+              {draft.publishError && (
+                <p className="draft-error">
+                  <FaExclamationCircle /> Couldn't publish: {draft.publishError}
+                </p>
+              )}
+            </div>
+            <div className="draft-actions">
+              <button type="button" className="draft-action" onClick={() => onResume(draft)}>
+                Resume
+              </button>
+              <button
+                type="button"
+                className="draft-action delete"
+                onClick={() => handleDelete(draft._id)}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {hasMore && (
+        <button
+          type="button"
+          className="drafts-load-more"
+          onClick={() => fetchDrafts(page + 1)}
+          disabled={loading}
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DraftsPanel;
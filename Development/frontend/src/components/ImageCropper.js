@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ImageCropper.css';
+
+const MAX_ZOOM = 3;
+
+// Lets the user pan and zoom an image inside a fixed frame, then reports the
+// framed area as a crop rectangle in the image's own pixels.
+const ImageCropper = ({ file, aspect = 1, frameWidth = 300, title, onCancel, onConfirm, saving }) => {
+  const frameHeight = Math.round(frameWidth / aspect);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(file);
+    setImageUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  // Scale at which the image just covers the frame
+  const baseScale = naturalSize
+    ? Math.max(frameWidth / naturalSize.width, frameHeight / naturalSize.height)
+    : 1;
+  const scale = baseScale * zoom;
+
+  // Keep the frame fully covered by the image
+  const clampOffset = (x, y, currentScale = scale) => {
+    if (!naturalSize) return { x, y };
+    const minX = frameWidth - naturalSize.width * currentScale;
+    const minY = frameHeight - naturalSize.height * currentScale;
+    return {
+      x: Math.min(0, Math.max(minX, x)),
+      y: Math.min(0, Math.max(minY, y))
+    };
+  };
+
+  const handleImageLoad = (e) => {
+    const { naturalWidth: width, naturalHeight: height } = e.target;
+    const initialScale = Math.max(frameWidth / width, frameHeight / height);
+    setNaturalSize({ width, height });
+    setZoom(1);
+    // Start centered
+    setOffset({
+      x: (frameWidth - width * initialScale) / 2,
+      y: (frameHeight - height * initialScale) / 2
+    });
+  };
+
+  const handleZoomChange = (e) => {
+    const newZoom = parseFloat(e.target.value);
+    const newScale = baseScale * newZoom;
+    // Zoom around the center of the frame
+    const centerX = (frameWidth / 2 - offset.x) / scale;
+    const centerY = (frameHeight / 2 - offset.y) / scale;
+    setZoom(newZoom);
+    setOffset(clampOffset(
+      frameWidth / 2 - centerX * newScale,
+      frameHeight / 2 - centerY * newScale,
+      newScale
+    ));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startX: e.clientX, startY: e.clientY, origin: offset };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const { startX, startY, origin } = dragRef.current;
+    setOffset(clampOffset(
+      origin.x + e.clientX - startX,
+      origin.y + e.clientY - startY
+    ));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleConfirm = () => {
+    if (!naturalSize) return;
+    const width = Math.min(naturalSize.width, Math.round(frameWidth / scale));
+    const height = Math.min(naturalSize.height, Math.round(frameHeight / scale));
+    onConfirm({
+      x: Math.min(naturalSize.width - width, Math.max(0, Math.round(-offset.x / scale))),
+      y: Math.min(naturalSize.height - height, Math.max(0, Math.round(-offset.y / scale))),
+      width,
+      height
+    });
+  };
+
+  return (
+    <div className="cropper-overlay">
+      <div className="cropper-modal">
+        {title && <h3 className="cropper-title">{title}</h3>}
+
+        <div
+          className={`cropper-frame ${aspect === 1 ? 'round' : ''}`}
+          style={{ width: frameWidth, height: frameHeight }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt="Crop preview"
+              className="cropper-image"
+              onLoad={handleImageLoad}
+              draggable={false}
+              style={naturalSize ? {
+                width: naturalSize.width * scale,
+                height: naturalSize.height * scale,
+                transform: `translate(${offset.x}px, ${offset.y}px)`
+              } : { visibility: 'hidden' }}
+            />
+          )}
+        </div>
+
+        <input
+          type="range"
+          min="1"
+          max={MAX_ZOOM}
+          step="0.01"
+          value={zoom}
+          onChange={handleZoomChange}
+          className="cropper-zoom"
+          disabled={!naturalSize || saving}
+          aria-label="Zoom"
+        />
+        <p className="cropper-hint">Drag to reposition, use the slider to zoom</p>
+
+        <div className="cropper-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onCancel}
+            disabled={saving}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleConfirm}
+            disabled={!naturalSize || saving}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageCropper;
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaHome, FaSearch, FaBell, FaUser, FaSignOutAlt, FaCog } from 'react-icons/fa';
+import { FaHome, FaSearch, FaBell, FaUser, FaSignOutAlt, FaCog, FaUserClock, FaBookmark } from 'react-icons/fa';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -10,10 +10,10 @@ const Navbar = () => {
   const location = useLocation();
   const [showUserMenu, setShowUserMenu] = useState(false);
 
-  const handleLogout = () => {
-    logout();
-    navigate('/login');
+  const handleLogout = async () => {
     setShowUserMenu(false);
+    await logout();
+    navigate('/login');
   };
 
   const isActive = (path) => location.pathname === path;
@@ -80,6 +80,35 @@ const Navbar = () => {
                   <FaUser />
                   <span>Profile</span>
                 </Link>
+
+                <Link 
+                  to="/bookmarks"
+                  className="user-menu-item"
+                  onClick={() => setShowUserMenu(false)}
+                >
+                  <FaBookmark />
+                  <span>Bookmarks</span>
+                </Link>
+
+                {user.isPrivate && (
+                  <Link 
+                    to="/follow-requests"
+                    className="user-menu-item"
+                    onClick={() => setShowUserMenu(false)}
+                  >
+                    <FaUserClock />
+                    <span>Follow Requests</span>
+                  </Link>
+                )}
+
+                <Link 
+                  to="/settings"
+                  className="user-menu-item"
+                  onClick={() => setShowUserMenu(false)}
+                >
+                  <FaCog />
+                  <span>Settings</span>
+                </Link>
                 
                 <button className="user-menu-item" onClick={handleLogout}>
                   <FaSignOutAlt />
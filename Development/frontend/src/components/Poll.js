@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { FaCheck } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './Poll.css';
+
+// A post's poll: options to vote on, then the results once you've voted or
+// the poll has closed, or straight away on your own poll (the server leaves
+// the counts out until then)
+const Poll = ({ postId, poll: initialPoll }) => {
+  const [poll, setPoll] = useState(initialPoll);
+  const [selected, setSelected] = useState([]);
+  const [voting, setVoting] = useState(false);
+
+  const toggleOption = (index) => {
+    if (!poll.multipleChoice) {
+      setSelected([index]);
+      return;
+    }
+    setSelected(prev => (prev.includes(index)
+      ? prev.filter(i => i !== index)
+      : [...prev, index]));
+  };
+
+  const handleVote = async () => {
+    if (selected.length === 0 || voting) return;
+
+    setVoting(true);
+    try {
+      const response = await axios.post(`/api/interactions/poll/${postId}/vote`, {
+        options: selected
+      });
+      setPoll(response.data.poll);
+    } catch (error) {
+      console.error('Error voting:', error);
+      const message = error.response?.data?.message || 'Failed to record your vote';
+      toast.error(message);
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  const totalVotes = poll.options.reduce((sum, option) => sum + (option.votes || 0), 0);
+  const myVotes = poll.myVotes || [];
+
+  const getStatus = () => {
+    // The vote count is hidden along with the results
+    const voters = poll.totalVoters === null
+      ? null
+      : `${poll.totalVoters} ${poll.totalVoters === 1 ? 'vote' : 'votes'}`;
+    let status;
+    if (poll.closed) {
+      status = 'Final results';
+    } else {
+      try {
+        status = `Closes ${formatDistanceToNow(new Date(poll.closesAt), { addSuffix: true })}`;
+      } catch (error) {
+        status = null;
+      }
+    }
+    return [voters, status].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <div className="poll">
+      {poll.showResults ? (
+        <div className="poll-results">
+          {poll.options.map((option, index) => {
+            const percent = totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0;
+            return (
+              <div
+                key={index}
+                className={`poll-result ${myVotes.includes(index) ? 'mine' : ''}`}
+              >
+                <div className="poll-result-bar" style={{ width: `${percent}%` }} />
+                <span className="poll-result-text">
+                  {option.text}
+                  {myVotes.includes(index) && <FaCheck className="poll-result-check" />}
+                </span>
+                <span className="poll-result-percent">{percent}%</span>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="poll-options">
+          {poll.options.map((option, index) => (
+            <label key={index} className={`poll-option ${selected.includes(index) ? 'selected' : ''}`}>
+              <input
+                type={poll.multipleChoice ? 'checkbox' : 'radio'}
+                name={`poll-${postId}`}
+                checked={selected.includes(index)}
+                onChange={() => toggleOption(index)}
+                disabled={voting}
+              />
+              <span>{option.text}</span>
+            </label>
+          ))}
+          <button
+            className="btn btn-primary poll-vote-btn"
+            onClick={handleVote}
+            disabled={voting || selected.length === 0}
+          >
+            {voting ? 'Voting...' : 'Vote'}
+          </button>
+        </div>
+      )}
+
+      <div className="poll-status">
+        {poll.multipleChoice && !poll.closed && 'Pick one or more · '}
+        {getStatus()}
+      </div>
+    </div>
+  );
+};
+
+export default Poll;
@@ -1,42 +1,91 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaHeart, FaComment, FaShare, FaEllipsisH, FaTrash, FaEdit } from 'react-icons/fa';
+import { FaHeart, FaComment, FaShare, FaEllipsisH, FaTrash, FaEdit, FaRetweet, FaQuoteRight, FaBookmark, FaRegBookmark, FaStream } from 'react-icons/fa';
 import { formatDistanceToNow } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import RichText from './RichText';
+import CommentThread from './CommentThread';
+import ReactionPicker, { REACTIONS, getReaction } from './ReactionPicker';
+import ReactionList from './ReactionList';
+import QuotedPost from './QuotedPost';
+import QuoteComposer from './QuoteComposer';
+import Poll from './Poll';
+import { getAudience } from './AudiencePicker';
 import './PostCard.css';
 
-const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) => {
+const PostCard = ({ post: item, onPostUpdated, onPostDeleted, onPostInteraction, onBookmarkToggled, showFullComments = false, showThreadLink = true }) => {
   const { user } = useAuth();
+  // A repost shows the original, credited to whoever reposted it
+  const isRepost = Boolean(item.repostOf);
+  const post = isRepost ? item.repostOf : item;
   const [showCommentForm, setShowCommentForm] = useState(false);
+  const [showComments, setShowComments] = useState(showFullComments);
+  const [commentsVersion, setCommentsVersion] = useState(0);
+  // Only list responses carry the preview, so keep it across post updates
+  const [topComment] = useState(item.topComment || null);
   const [commentContent, setCommentContent] = useState('');
   const [submittingComment, setSubmittingComment] = useState(false);
   const [showOptions, setShowOptions] = useState(false);
-  const [liking, setLiking] = useState(false);
+  const [reacting, setReacting] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const [showReactions, setShowReactions] = useState(false);
+  const [showShareMenu, setShowShareMenu] = useState(false);
+  const [showQuoteComposer, setShowQuoteComposer] = useState(false);
+  const [reposted, setReposted] = useState(Boolean(item.repostedByMe));
+  const [reposting, setReposting] = useState(false);
+  const [bookmarked, setBookmarked] = useState(Boolean(item.bookmarked));
+  const [bookmarking, setBookmarking] = useState(false);
 
-  const isLiked = post.likes.some(like => like._id === user._id);
+  const myReaction = post.reactions.find(reaction => reaction.user === user._id)?.type || null;
   const isAuthor = post.author._id === user._id;
+  const audience = getAudience(post.audience);
+  const AudienceIcon = audience.icon;
+  const shareCount = (post.repostCount || 0) + (post.quoteCount || 0);
 
-  const handleLike = async () => {
-    if (liking) return;
-    
-    setLiking(true);
+  // Interaction responses carry the bare post, so keep the embedded quote
+  // and poll view, and put the original back inside its repost
+  const handlePostInteraction = (updatedPost) => {
+    if (!onPostInteraction) return;
+
+    const merged = {
+      ...updatedPost,
+      quoteOf: post.quoteOf,
+      quoteUnavailable: post.quoteUnavailable,
+      poll: post.poll
+    };
+    onPostInteraction(isRepost ? { ...item, repostOf: merged } : merged);
+  };
+
+  // Reaction types in use, most common first
+  const reactionCounts = REACTIONS
+    .map(reaction => ({
+      ...reaction,
+      count: post.reactions.filter(r => r.type === reaction.type).length
+    }))
+    .filter(reaction => reaction.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  // Picking the reaction you already have takes it back
+  const handleReact = async (type) => {
+    if (reacting) return;
+
+    setReacting(true);
+    setShowPicker(false);
     try {
-      const response = await axios.post(`/api/interactions/like/${post._id}`);
-      const { post: updatedPost, isLiked: newLikeState } = response.data;
-      
+      const response = type === myReaction
+        ? await axios.delete(`/api/interactions/react/${post._id}`)
+        : await axios.post(`/api/interactions/react/${post._id}`, { type });
+
       // Update the post in the parent component
-      if (onPostInteraction) {
-        onPostInteraction(updatedPost);
-      }
-      
-      toast.success(newLikeState ? 'Post liked!' : 'Post unliked!');
+      handlePostInteraction(response.data.post);
     } catch (error) {
-      console.error('Error liking post:', error);
-      toast.error('Failed to like post');
+      console.error('Error reacting to post:', error);
+      const message = error.response?.data?.message || 'Failed to react to post';
+      toast.error(message);
     } finally {
-      setLiking(false);
+      setReacting(false);
     }
   };
 
@@ -57,10 +106,11 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
       const { post: updatedPost } = response.data;
       
       // Update the post in the parent component
-      if (onPostInteraction) {
-        onPostInteraction(updatedPost);
-      }
+      handlePostInteraction(updatedPost);
       
+      // Reload the comments so the new one shows up in the current sort
+      setCommentsVersion(version => version + 1);
+      setShowComments(true);
       setCommentContent('');
       setShowCommentForm(false);
       toast.success('Comment added!');
@@ -73,23 +123,6 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
-    try {
-      const response = await axios.delete(`/api/interactions/comment/${post._id}/${commentId}`);
-      const { post: updatedPost } = response.data;
-      
-      // Update the post in the parent component
-      if (onPostInteraction) {
-        onPostInteraction(updatedPost);
-      }
-      
-      toast.success('Comment deleted!');
-    } catch (error) {
-      console.error('Error deleting comment:', error);
-      toast.error('Failed to delete comment');
-    }
-  };
-
   const handleDeletePost = async () => {
     if (!window.confirm('Are you sure you want to delete this post?')) {
       return;
@@ -98,9 +131,9 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
     try {
       await axios.delete(`/api/posts/${post._id}`);
       
-      // Notify parent component
+      // Notify parent component (a repost goes with its original)
       if (onPostDeleted) {
-        onPostDeleted(post._id);
+        onPostDeleted(item._id);
       }
       
       toast.success('Post deleted successfully');
@@ -110,6 +143,60 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
     }
   };
 
+  // Reposting again takes the repost back
+  const handleRepost = async () => {
+    if (reposting) return;
+
+    setReposting(true);
+    setShowShareMenu(false);
+    try {
+      const response = reposted
+        ? await axios.delete(`/api/posts/${post._id}/repost`)
+        : await axios.post(`/api/posts/${post._id}/repost`);
+      setReposted(!reposted);
+
+      // Undoing your own repost leaves nothing to show in its place
+      if (reposted && isRepost && item.author._id === user._id && onPostDeleted) {
+        onPostDeleted(item._id);
+        return;
+      }
+
+      handlePostInteraction(response.data.post);
+      toast.success(reposted ? 'Repost removed' : 'Reposted!');
+    } catch (error) {
+      console.error('Error reposting:', error);
+      const message = error.response?.data?.message || 'Failed to repost';
+      toast.error(message);
+    } finally {
+      setReposting(false);
+    }
+  };
+
+  const handleBookmark = async () => {
+    if (bookmarking) return;
+
+    setBookmarking(true);
+    try {
+      if (bookmarked) {
+        await axios.delete(`/api/bookmarks/${post._id}`);
+      } else {
+        await axios.post(`/api/bookmarks/${post._id}`);
+      }
+      setBookmarked(!bookmarked);
+      toast.success(bookmarked ? 'Removed from bookmarks' : 'Saved to bookmarks');
+
+      if (onBookmarkToggled) {
+        onBookmarkToggled(post._id, !bookmarked);
+      }
+    } catch (error) {
+      console.error('Error updating bookmark:', error);
+      const message = error.response?.data?.message || 'Failed to update bookmark';
+      toast.error(message);
+    } finally {
+      setBookmarking(false);
+    }
+  };
+
   const handleEditPost = () => {
     // This would typically open an edit modal or navigate to edit page
     // For now, we'll just show a toast
@@ -126,6 +213,16 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
 
   return (
     <div className="post-card">
+      {isRepost && (
+        <div className="repost-attribution">
+          <FaRetweet />
+          <Link to={`/profile/${item.author.username}`}>
+            {item.author._id === user._id ? 'You' : `${item.author.firstName} ${item.author.lastName}`}
+          </Link>
+          <span>reposted</span>
+        </div>
+      )}
+
       <div className="post-header">
         <div className="post-author">
           <Link to={`/profile/${post.author.username}`} className="author-link">
@@ -148,6 +245,16 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
 
         <div className="post-meta">
           <span className="post-time">{formatDate(post.createdAt)}</span>
+          {audience.value !== 'public' && (
+            <span className={`post-audience ${audience.value}`} title={`Shared with: ${audience.label}`}>
+              <AudienceIcon />
+            </span>
+          )}
+          {post.editedAt && (
+            <Link to={`/post/${post._id}`} className="post-edited" title="View edit history">
+              edited
+            </Link>
+          )}
           {post.location && (
             <span className="post-location">
               <i className="location-icon">📍</i> {post.location}
@@ -187,13 +294,13 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
       </div>
 
       <div className="post-content">
-        <p className="post-text">{post.content}</p>
+        <RichText text={post.content} className="post-text" />
         {post.images && post.images.length > 0 && (
           <div className="post-images">
             {post.images.map((image, index) => (
               <img
                 key={index}
-                src={image}
+                src={post.thumbnails?.[index] || image}
                 alt={`Post image ${index + 1}`}
                 className="post-image"
                 onError={(e) => {
@@ -203,28 +310,94 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
             ))}
           </div>
         )}
+        {post.poll && (
+          <Poll postId={post._id} poll={post.poll} />
+        )}
+        {(post.quoteOf || post.quoteUnavailable) && (
+          <QuotedPost post={post.quoteOf} unavailable={post.quoteUnavailable} />
+        )}
+        {showThreadLink && post.threadLength > 1 && !post.threadRoot && (
+          <Link to={`/post/${post._id}`} className="thread-link">
+            <FaStream />
+            <span>Show thread · {post.threadLength - 1} more</span>
+          </Link>
+        )}
+        {showThreadLink && post.threadRoot && (
+          <Link to={`/post/${post.threadRoot}`} className="thread-link">
+            <FaStream />
+            <span>Part of a thread · Show all</span>
+          </Link>
+        )}
       </div>
 
       <div className="post-stats">
-        <span className="stat-item">
-          <FaHeart className="stat-icon" />
-          {post.likes.length} {post.likes.length === 1 ? 'like' : 'likes'}
-        </span>
-        <span className="stat-item">
+        <button
+          className="stat-item stat-toggle"
+          onClick={() => setShowReactions(true)}
+          disabled={post.reactions.length === 0}
+        >
+          {reactionCounts.length > 0 ? (
+            <span className="reaction-summary">
+              {reactionCounts.slice(0, 3).map(reaction => (
+                <span key={reaction.type} title={`${reaction.label} ${reaction.count}`}>
+                  {reaction.emoji}
+                </span>
+              ))}
+            </span>
+          ) : (
+            <FaHeart className="stat-icon" />
+          )}
+          {post.reactions.length} {post.reactions.length === 1 ? 'reaction' : 'reactions'}
+        </button>
+        <button
+          className="stat-item stat-toggle"
+          onClick={() => setShowComments(!showComments)}
+          disabled={post.commentCount === 0}
+        >
           <FaComment className="stat-icon" />
-          {post.comments.length} {post.comments.length === 1 ? 'comment' : 'comments'}
-        </span>
+          {post.commentCount} {post.commentCount === 1 ? 'comment' : 'comments'}
+        </button>
+        {shareCount > 0 && (
+          <span className="stat-item">
+            <FaRetweet className="stat-icon" />
+            {shareCount} {shareCount === 1 ? 'repost' : 'reposts'}
+          </span>
+        )}
       </div>
 
       <div className="post-actions">
-        <button
-          className={`action-btn like-btn ${isLiked ? 'liked' : ''}`}
-          onClick={handleLike}
-          disabled={liking}
+        <div
+          className="reaction-btn-wrapper"
+          onMouseEnter={() => setShowPicker(true)}
+          onMouseLeave={() => setShowPicker(false)}
         >
-          <FaHeart className="action-icon" />
-          <span>{isLiked ? 'Liked' : 'Like'}</span>
-        </button>
+          {showPicker && (
+            <div className="reaction-picker-popover">
+              <ReactionPicker
+                current={myReaction}
+                onSelect={handleReact}
+                disabled={reacting}
+              />
+            </div>
+          )}
+          <button
+            className={`action-btn like-btn ${myReaction ? `liked reacted-${myReaction}` : ''}`}
+            onClick={() => handleReact(myReaction || 'like')}
+            onContextMenu={(e) => {
+              // Long press on touch screens opens the picker
+              e.preventDefault();
+              setShowPicker(true);
+            }}
+            disabled={reacting}
+          >
+            {myReaction ? (
+              <span className="action-icon">{getReaction(myReaction).emoji}</span>
+            ) : (
+              <FaHeart className="action-icon" />
+            )}
+            <span>{myReaction ? getReaction(myReaction).label : 'Like'}</span>
+          </button>
+        </div>
 
         <button
           className="action-btn comment-btn"
@@ -234,12 +407,58 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
           <span>Comment</span>
         </button>
 
-        <button className="action-btn share-btn">
-          <FaShare className="action-icon" />
-          <span>Share</span>
+        <div className="share-btn-wrapper">
+          <button
+            className={`action-btn share-btn ${reposted ? 'reposted' : ''}`}
+            onClick={() => setShowShareMenu(!showShareMenu)}
+            disabled={reposting}
+          >
+            {reposted ? <FaRetweet className="action-icon" /> : <FaShare className="action-icon" />}
+            <span>{reposted ? 'Reposted' : 'Share'}</span>
+          </button>
+
+          {showShareMenu && (
+            <div className="share-menu">
+              <button className="option-item" onClick={handleRepost}>
+                <FaRetweet />
+                <span>{reposted ? 'Undo repost' : 'Repost'}</span>
+              </button>
+              <button
+                className="option-item"
+                onClick={() => {
+                  setShowShareMenu(false);
+                  setShowQuoteComposer(true);
+                }}
+              >
+                <FaQuoteRight />
+                <span>Quote</span>
+              </button>
+            </div>
+          )}
+        </div>
+
+        <button
+          className={`action-btn bookmark-btn ${bookmarked ? 'bookmarked' : ''}`}
+          onClick={handleBookmark}
+          disabled={bookmarking}
+        >
+          {bookmarked ? <FaBookmark className="action-icon" /> : <FaRegBookmark className="action-icon" />}
+          <span>{bookmarked ? 'Saved' : 'Save'}</span>
         </button>
       </div>
 
+      {showReactions && (
+        <ReactionList postId={post._id} onClose={() => setShowReactions(false)} />
+      )}
+
+      {showQuoteComposer && (
+        <QuoteComposer
+          post={post}
+          onClose={() => setShowQuoteComposer(false)}
+          onQuoted={() => handlePostInteraction({ ...post, quoteCount: (post.quoteCount || 0) + 1 })}
+        />
+      )}
+
       {showCommentForm && (
         <div className="comment-form-container">
           <form onSubmit={handleComment} className="comment-form">
@@ -276,51 +495,45 @@ const PostCard = ({ post, onPostUpdated, onPostDeleted, onPostInteraction }) =>
         </div>
       )}
 
-      {post.comments.length > 0 && (
+      {!showComments && topComment && post.commentCount > 0 && (
+        <div className="top-comment-preview">
+          <div className="top-comment">
+            <Link to={`/profile/${topComment.user.username}`} className="comment-author-name">
+              {topComment.user.firstName} {topComment.user.lastName}
+            </Link>
+            <span className="top-comment-text">{topComment.content}</span>
+            {topComment.editedAt && (
+              <span className="top-comment-edited">edited</span>
+            )}
+            {topComment.likeCount > 0 && (
+              <span className="top-comment-likes">
+                <FaHeart /> {topComment.likeCount}
+              </span>
+            )}
+          </div>
+          {post.commentCount > 1 && (
+            <button
+              className="view-comments-btn"
+              onClick={() => setShowComments(true)}
+            >
+              View all {post.commentCount} comments
+            </button>
+          )}
+        </div>
+      )}
+
+      {showComments && post.commentCount > 0 && (
         <div className="comments-section">
           <div className="comments-header">
             <span className="comments-title">Comments</span>
           </div>
           
-          <div className="comments-list">
-            {post.comments.map((comment) => (
-              <div key={comment._id} className="comment-item">
-                <div className="comment-author">
-                  <Link to={`/profile/${comment.user.username}`}>
-                    <img
-                      src={comment.user.profilePicture || '/default-avatar.png'}
-                      alt={comment.user.username}
-                      className="comment-avatar"
-                      onError={(e) => {
-                        e.target.src = '/default-avatar.png';
-                      }}
-                    />
-                  </Link>
-                  <div className="comment-content">
-                    <div className="comment-header">
-                      <Link to={`/profile/${comment.user.username}`} className="comment-author-name">
-                        {comment.user.firstName} {comment.user.lastName}
-                      </Link>
-                      <span className="comment-time">
-                        {formatDate(comment.createdAt)}
-                      </span>
-                    </div>
-                    <p className="comment-text">{comment.content}</p>
-                  </div>
-                </div>
-                
-                {(comment.user._id === user._id || isAuthor) && (
-                  <button
-                    className="delete-comment-btn"
-                    onClick={() => handleDeleteComment(comment._id)}
-                    title="Delete comment"
-                  >
-                    ×
-                  </button>
-                )}
-              </div>
-            ))}
-          </div>
+          <CommentThread
+            key={commentsVersion}
+            postId={post._id}
+            canModerate={isAuthor}
+            onPostInteraction={handlePostInteraction}
+          />
         </div>
       )}
     </div>
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import QuotedPost from './QuotedPost';
+import './QuoteComposer.css';
+
+// Modal for writing a quote post: the user's own text above the original
+const QuoteComposer = ({ post, onClose, onQuoted }) => {
+  const [content, setContent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!content.trim()) {
+      toast.error('Please write something about this post');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/posts', {
+        content,
+        quoteOf: post._id
+      });
+
+      toast.success('Quote posted!');
+      if (onQuoted) {
+        onQuoted(response.data.post);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Error posting quote:', error);
+      const message = error.response?.data?.message || 'Failed to post quote';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="quote-composer-overlay" onClick={onClose}>
+      <div className="quote-composer-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="quote-composer-header">
+          <span className="quote-composer-title">Quote post</span>
+          <button className="quote-composer-close" onClick={onClose} title="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="quote-composer-body">
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            placeholder="Add your thoughts..."
+            className="quote-composer-input"
+            rows="3"
+            maxLength="5000"
+            disabled={submitting}
+            autoFocus
+          />
+
+          <QuotedPost post={post} />
+
+          <div className="quote-composer-actions">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={onClose}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={submitting || !content.trim()}
+            >
+              {submitting ? 'Posting...' : 'Post'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteComposer;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import './QuotedPost.css';
+
+const formatDate = (dateString) => {
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// The original post embedded in a quote post. Opens the original on click;
+// it isn't a link itself because the text may hold links of its own.
+const QuotedPost = ({ post, unavailable = false }) => {
+  const navigate = useNavigate();
+
+  if (!post) {
+    return unavailable ? (
+      <div className="quoted-post unavailable">This post is unavailable.</div>
+    ) : null;
+  }
+
+  const openPost = (e) => {
+    e.stopPropagation();
+    navigate(`/post/${post._id}`);
+  };
+
+  return (
+    <div
+      className="quoted-post"
+      role="link"
+      tabIndex={0}
+      onClick={openPost}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') openPost(e);
+      }}
+    >
+      <div className="quoted-post-header">
+        <img
+          src={post.author.profilePicture || '/default-avatar.png'}
+          alt={post.author.username}
+          className="quoted-post-avatar"
+          onError={(e) => {
+            e.target.src = '/default-avatar.png';
+          }}
+        />
+        <span className="quoted-post-name">
+          {post.author.firstName} {post.author.lastName}
+        </span>
+        <span className="quoted-post-username">@{post.author.username}</span>
+        <span className="quoted-post-time">· {formatDate(post.createdAt)}</span>
+      </div>
+      <p className="quoted-post-text">{post.content}</p>
+      {post.images && post.images.length > 0 && (
+        <img src={post.thumbnails?.[0] || post.images[0]} alt="Quoted post" className="quoted-post-image" />
+      )}
+    </div>
+  );
+};
+
+export default QuotedPost;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaTimes } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { REACTIONS, getReaction } from './ReactionPicker';
+import './ReactionList.css';
+
+// Who reacted to a post, with a tab per reaction type
+const ReactionList = ({ postId, onClose }) => {
+  const [type, setType] = useState(null);
+  const [reactions, setReactions] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReactions = useCallback(async (pageNumber) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/interactions/reactions/${postId}`, {
+        params: { type: type || undefined, page: pageNumber }
+      });
+
+      const data = response.data;
+      setReactions(prev => (pageNumber === 1 ? data.reactions : [...prev, ...data.reactions]));
+      setCounts(data.counts);
+      setPage(data.currentPage);
+      setTotalPages(data.totalPages);
+    } catch (error) {
+      console.error('Error fetching reactions:', error);
+      toast.error('Failed to load reactions');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, type]);
+
+  useEffect(() => {
+    fetchReactions(1);
+  }, [fetchReactions]);
+
+  const total = counts ? Object.values(counts).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <div className="reaction-list-overlay" onClick={onClose}>
+      <div className="reaction-list-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="reaction-list-header">
+          <div className="reaction-list-tabs">
+            <button
+              className={`reaction-tab ${type === null ? 'active' : ''}`}
+              onClick={() => setType(null)}
+            >
+              All {total}
+            </button>
+            {counts && REACTIONS.filter(reaction => counts[reaction.type] > 0).map(reaction => (
+              <button
+                key={reaction.type}
+                className={`reaction-tab ${type === reaction.type ? 'active' : ''}`}
+                onClick={() => setType(reaction.type)}
+                title={reaction.label}
+              >
+                {reaction.emoji} {counts[reaction.type]}
+              </button>
+            ))}
+          </div>
+          <button className="reaction-list-close" onClick={onClose} title="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="reaction-list-body">
+          {reactions.map(reaction => (
+            <Link
+              key={reaction.user._id}
+              to={`/profile/${reaction.user.username}`}
+              className="reaction-list-item"
+              onClick={onClose}
+            >
+              <img
+                src={reaction.user.profilePicture || '/default-avatar.png'}
+                alt={reaction.user.username}
+                className="reaction-list-avatar"
+                onError={(e) => {
+                  e.target.src = '/default-avatar.png';
+                }}
+              />
+              <div className="reaction-list-user">
+                <span className="reaction-list-name">
+                  {reaction.user.firstName} {reaction.user.lastName}
+                </span>
+                <span className="reaction-list-username">@{reaction.user.username}</span>
+              </div>
+              <span className="reaction-list-emoji">{getReaction(reaction.type)?.emoji}</span>
+            </Link>
+          ))}
+
+          {loading && <div className="reaction-list-empty">Loading...</div>}
+
+          {!loading && reactions.length === 0 && (
+            <div className="reaction-list-empty">No reactions yet</div>
+          )}
+
+          {!loading && page < totalPages && (
+            <button
+              className="btn btn-secondary reaction-list-more"
+              onClick={() => fetchReactions(page + 1)}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReactionList;
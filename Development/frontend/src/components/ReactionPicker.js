@@ -0,0 +1,34 @@
+import React from 'react';
+import './ReactionPicker.css';
+
+// Matches REACTION_TYPES on the server, in picker order
+export const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Haha' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' },
+  { type: 'angry', emoji: '😠', label: 'Angry' }
+];
+
+export const getReaction = (type) => REACTIONS.find(reaction => reaction.type === type);
+
+// A row of reactions to pick from; the current one is highlighted
+const ReactionPicker = ({ current, onSelect, disabled = false }) => (
+  <div className="reaction-picker" role="menu">
+    {REACTIONS.map(reaction => (
+      <button
+        key={reaction.type}
+        className={`reaction-option ${current === reaction.type ? 'active' : ''}`}
+        onClick={() => onSelect(reaction.type)}
+        disabled={disabled}
+        title={reaction.label}
+        aria-label={reaction.label}
+      >
+        {reaction.emoji}
+      </button>
+    ))}
+  </div>
+);
+
+export default ReactionPicker;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { FaHistory } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './RevisionHistory.css';
+
+const formatDate = (dateString) => {
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// Word-level diff of two texts as { type, text } parts, where type is
+// 'same', 'added' or 'removed'. Whitespace is kept so the text reads as written.
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // lengths[i][j] is the longest common run of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+};
+
+const listChanges = (before = [], after = []) => ({
+  added: after.filter(item => !before.includes(item)),
+  removed: before.filter(item => !after.includes(item))
+});
+
+// What changed between a version and the one before it
+const RevisionDiff = ({ before, after }) => {
+  if (!before) {
+    return (
+      <div className="revision-diff">
+        <p className="revision-note">Original version</p>
+        <p className="revision-text">{after.content}</p>
+      </div>
+    );
+  }
+
+  const tags = listChanges(before.tags, after.tags);
+  const images = listChanges(before.images, after.images);
+  const locationChanged = (before.location || '') !== (after.location || '');
+
+  return (
+    <div className="revision-diff">
+      <p className="revision-text">
+        {diffWords(before.content, after.content).map((part, index) => {
+          if (part.type === 'added') return <ins key={index}>{part.text}</ins>;
+          if (part.type === 'removed') return <del key={index}>{part.text}</del>;
+          return <span key={index}>{part.text}</span>;
+        })}
+      </p>
+
+      {locationChanged && (
+        <p className="revision-field">
+          <span className="revision-field-label">Location:</span>
+          <del>{before.location || 'none'}</del>
+          <span>→</span>
+          <ins>{after.location || 'none'}</ins>
+        </p>
+      )}
+
+      {(tags.added.length > 0 || tags.removed.length > 0) && (
+        <p className="revision-field">
+          <span className="revision-field-label">Tags:</span>
+          {tags.removed.map(tag => <del key={`-${tag}`}>#{tag}</del>)}
+          {tags.added.map(tag => <ins key={`+${tag}`}>#{tag}</ins>)}
+        </p>
+      )}
+
+      {(images.added.length > 0 || images.removed.length > 0) && (
+        <div className="revision-images">
+          {images.removed.map(image => (
+            <img key={`-${image}`} src={image} alt="Removed" className="revision-image removed" />
+          ))}
+          {images.added.map(image => (
+            <img key={`+${image}`} src={image} alt="Added" className="revision-image added" />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Earlier versions of an edited post, each shown as a diff against the
+// version before it
+const RevisionHistory = ({ postId, editedAt }) => {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  // A new edit makes the loaded history stale
+  useEffect(() => {
+    setRevisions(null);
+    setSelected(0);
+    setOpen(false);
+  }, [postId, editedAt]);
+
+  const toggleOpen = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    if (!revisions) {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/api/posts/${postId}/revisions`);
+        setRevisions(response.data.revisions);
+      } catch (error) {
+        console.error('Error fetching revisions:', error);
+        toast.error('Failed to load edit history');
+        return;
+      } finally {
+        setLoading(false);
+      }
+    }
+    setOpen(true);
+  };
+
+  const getLabel = (revision, index) => {
+    if (revision.current) return 'Current';
+    if (index === revisions.length - 1) return 'Original';
+    return formatDate(revision.createdAt);
+  };
+
+  return (
+    <div className="revision-history">
+      <button className="revision-toggle" onClick={toggleOpen} disabled={loading}>
+        <FaHistory />
+        <span>
+          Edited {formatDate(editedAt)} · {loading ? 'Loading...' : open ? 'Hide history' : 'View history'}
+        </span>
+      </button>
+
+      {open && revisions && (
+        <div className="revision-panel">
+          <div className="revision-list">
+            {revisions.map((revision, index) => (
+              <button
+                key={index}
+                className={`revision-tab ${index === selected ? 'active' : ''}`}
+                onClick={() => setSelected(index)}
+                title={new Date(revision.createdAt).toLocaleString()}
+              >
+                {getLabel(revision, index)}
+              </button>
+            ))}
+          </div>
+
+          <RevisionDiff
+            before={revisions[selected + 1]}
+            after={revisions[selected]}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
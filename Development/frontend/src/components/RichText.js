@@ -0,0 +1,73 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './RichText.css';
+
+// Keep in sync with backend/utils/hashtags.js and backend/utils/mentions.js
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+
+// Find every hashtag and mention in the text, ordered by position
+const findTokens = (text) => {
+  const tokens = [];
+
+  for (const match of text.matchAll(HASHTAG_REGEX)) {
+    const [, prefix, tag] = match;
+    const start = match.index + prefix.length;
+    tokens.push({ type: 'hashtag', value: tag, start, end: start + tag.length + 1 });
+  }
+
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const [, prefix, username] = match;
+    const start = match.index + prefix.length;
+    tokens.push({ type: 'mention', value: username, start, end: start + username.length + 1 });
+  }
+
+  return tokens.sort((a, b) => a.start - b.start);
+};
+
+const RichText = ({ text, className }) => {
+  if (!text) return null;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  findTokens(text).forEach(token => {
+    if (token.start < lastIndex) return;
+
+    if (token.start > lastIndex) {
+      parts.push(text.slice(lastIndex, token.start));
+    }
+
+    if (token.type === 'hashtag') {
+      parts.push(
+        <Link
+          key={`tag-${token.start}`}
+          to={`/tag/${encodeURIComponent(token.value.toLowerCase())}`}
+          className="hashtag-link"
+        >
+          #{token.value}
+        </Link>
+      );
+    } else {
+      parts.push(
+        <Link
+          key={`mention-${token.start}`}
+          to={`/profile/${token.value}`}
+          className="mention-link"
+        >
+          @{token.value}
+        </Link>
+      );
+    }
+
+    lastIndex = token.end;
+  });
+
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+
+  return <p className={className}>{parts}</p>;
+};
+
+export default RichText;
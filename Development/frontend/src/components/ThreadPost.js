@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import RichText from './RichText';
+import './ThreadPost.css';
+
+const formatDate = (dateString) => {
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// One post of a thread as shown around the post being viewed, joined to its
+// neighbours by a line. Its time opens it on its own.
+const ThreadPost = ({ post, position, total }) => {
+  return (
+    <div className="thread-post">
+      <div className="thread-post-rail">
+        <img
+          src={post.author.profilePicture || '/default-avatar.png'}
+          alt={post.author.username}
+          className="thread-post-avatar"
+          onError={(e) => {
+            e.target.src = '/default-avatar.png';
+          }}
+        />
+        <span className="thread-post-line" />
+      </div>
+      <div className="thread-post-body">
+        <div className="thread-post-header">
+          <span className="thread-post-name">
+            {post.author.firstName} {post.author.lastName}
+          </span>
+          <span className="thread-post-meta">
+            @{post.author.username} · <Link to={`/post/${post._id}`}>{formatDate(post.createdAt)}</Link> · {position}/{total}
+          </span>
+        </div>
+        <RichText text={post.content} className="thread-post-text" />
+        {post.images && post.images.length > 0 && (
+          <div className="thread-post-images">
+            {post.images.map((image, index) => (
+              <img key={index} src={image} alt={`Attachment ${index + 1}`} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPost;
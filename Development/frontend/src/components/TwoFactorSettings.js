@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { FaShieldAlt, FaCopy } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import './TwoFactorSettings.css';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const showError = (error, fallback) => {
+    console.error(fallback, error);
+    const message = error.response?.data?.message
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+    toast.error(message);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setWorking(true);
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setBackupCodes(null);
+    } catch (error) {
+      showError(error, 'Failed to start two-factor setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setWorking(true);
+      const response = await axios.post('/api/auth/2fa/enable', { code: code.trim() });
+      setBackupCodes(response.data.backupCodes);
+      setSetup(null);
+      setCode('');
+      updateUser({ ...user, twoFactorEnabled: true });
+      toast.success(response.data.message);
+    } catch (error) {
+      showError(error, 'Failed to turn on two-factor authentication');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setWorking(true);
+      const response = await axios.post('/api/auth/2fa/disable', { password });
+      setPassword('');
+      setBackupCodes(null);
+      updateUser({ ...user, twoFactorEnabled: false });
+      toast.success(response.data.message);
+    } catch (error) {
+      showError(error, 'Failed to turn off two-factor authentication');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!password) {
+      toast.error('Enter your password to get new backup codes');
+      return;
+    }
+
+    try {
+      setWorking(true);
+      const response = await axios.post('/api/auth/2fa/backup-codes', { password });
+      setPassword('');
+      setBackupCodes(response.data.backupCodes);
+      toast.success('New backup codes generated');
+    } catch (error) {
+      showError(error, 'Failed to generate backup codes');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(backupCodes.join('\n'));
+      toast.success('Backup codes copied');
+    } catch (error) {
+      toast.error('Could not copy backup codes');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <div>
+          <h2 className="settings-section-title">Two-factor authentication</h2>
+          <p className="settings-section-subtitle">
+            {user.twoFactorEnabled
+              ? 'On: signing in asks for a code from your authenticator app'
+              : 'Add a second step to sign-in with an authenticator app'}
+          </p>
+        </div>
+        {!user.twoFactorEnabled && !setup && (
+          <button className="btn btn-primary" onClick={handleStartSetup} disabled={working}>
+            <FaShieldAlt />
+            <span>Set up</span>
+          </button>
+        )}
+      </div>
+
+      <div className="two-factor-body">
+        {setup && (
+          <form onSubmit={handleEnable} className="two-factor-form">
+            <p>
+              Add this account to your authenticator app, either by opening the setup link
+              on this device or by entering the key by hand. Then enter the 6-digit code it shows.
+            </p>
+            <div className="two-factor-secret">
+              <code>{setup.secret}</code>
+            </div>
+            <a href={setup.otpauthUri} className="two-factor-link">
+              Open in authenticator app
+            </a>
+            <div className="two-factor-row">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                className="two-factor-input"
+                disabled={working}
+              />
+              <button type="submit" className="btn btn-primary" disabled={working || !code.trim()}>
+                Turn on
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setSetup(null)}
+                disabled={working}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {backupCodes && (
+          <div className="backup-codes">
+            <p>
+              Save these backup codes somewhere safe. Each one can be used once to sign in
+              if you lose your authenticator app. They won't be shown again.
+            </p>
+            <ul className="backup-codes-list">
+              {backupCodes.map(backupCode => (
+                <li key={backupCode}><code>{backupCode}</code></li>
+              ))}
+            </ul>
+            <button className="btn btn-secondary" onClick={handleCopyCodes}>
+              <FaCopy />
+              <span>Copy codes</span>
+            </button>
+          </div>
+        )}
+
+        {user.twoFactorEnabled && (
+          <form onSubmit={handleDisable} className="two-factor-form">
+            <p>Enter your password to turn two-factor authentication off or to get new backup codes.</p>
+            <div className="two-factor-row">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="two-factor-input"
+                disabled={working}
+              />
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleRegenerate}
+                disabled={working}
+              >
+                New backup codes
+              </button>
+              <button type="submit" className="btn btn-danger" disabled={working || !password}>
+                Turn off
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { FaEnvelope } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import './VerifyEmailBanner.css';
+
+// Shown to signed-in users until they confirm their email address
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-banner">
+      <FaEnvelope className="verify-email-icon" />
+      <span className="verify-email-text">
+        Please confirm your email address. Until you do, you can't post, comment or follow people.
+      </span>
+      <button
+        className="btn btn-secondary verify-email-resend"
+        onClick={handleResend}
+        disabled={sending}
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
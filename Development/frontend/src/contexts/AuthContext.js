@@ -1,9 +1,28 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_URLS = [
+  '/api/auth/login',
+  '/api/auth/login/2fa',
+  '/api/auth/register',
+  '/api/auth/refresh'
+];
+
+// Shared by every request that fails while a refresh is already under way
+let refreshPromise = null;
+
+// Seconds to wait before retrying a rate-limited (429) request, or 0
+export const getRetryAfter = (error) => {
+  if (error.response?.status !== 429) return 0;
+  return parseInt(error.response.headers['retry-after'], 10)
+    || error.response.data?.retryAfter
+    || 0;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -26,32 +45,101 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  const saveTokens = useCallback((newToken, newRefreshToken) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    // Set the header right away so requests made before the next render use it
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  }, []);
+
+  const clearTokens = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // When the access token expires, swap the refresh token for a new pair and retry once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        if (
+          error.response?.status !== 401 ||
+          !original ||
+          original._retried ||
+          !refreshToken ||
+          NO_REFRESH_URLS.includes(original.url)
+        ) {
+          return Promise.reject(error);
+        }
+
+        original._retried = true;
+
+        try {
+          if (!refreshPromise) {
+            refreshPromise = axios
+              .post('/api/auth/refresh', { refreshToken })
+              .finally(() => {
+                refreshPromise = null;
+              });
+          }
+
+          const response = await refreshPromise;
+          saveTokens(response.data.token, response.data.refreshToken);
+
+          original.headers['Authorization'] = `Bearer ${response.data.token}`;
+          return axios(original);
+        } catch (refreshError) {
+          // The session was revoked or has expired
+          clearTokens();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [saveTokens, clearTokens]);
+
   // Check if user is authenticated on app load
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
+      if (localStorage.getItem('token')) {
         try {
           const response = await axios.get('/api/auth/me');
           setUser(response.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
+          clearTokens();
         }
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [clearTokens]);
 
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
-      const { token: newToken, user: userData } = response.data;
+
+      // Accounts with 2FA need a code before they get tokens
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      saveTokens(newToken, refreshToken);
       setUser(userData);
       
       toast.success('Login successful!');
@@ -59,17 +147,39 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       toast.error(message);
-      return { success: false, message };
+      return { success: false, message, retryAfter: getRetryAfter(error) };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+      const { token: newToken, refreshToken, user: userData } = response.data;
+
+      saveTokens(newToken, refreshToken);
+      setUser(userData);
+
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      // A 401 means the challenge expired and the password step has to be redone
+      return {
+        success: false,
+        message,
+        expired: error.response?.status === 401,
+        retryAfter: getRetryAfter(error)
+      };
     }
   };
 
   const register = async (userData) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
-      const { token: newToken, user: newUser } = response.data;
+      const { token: newToken, refreshToken, user: newUser } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      saveTokens(newToken, refreshToken);
       setUser(newUser);
       
       toast.success('Registration successful!');
@@ -81,10 +191,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
+  const logout = async () => {
+    try {
+      // End the session on the server so its refresh token stops working
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+
+    clearTokens();
     toast.success('Logged out successfully');
   };
 
@@ -96,6 +211,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateUser
@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaBookmark, FaPlus, FaEdit, FaTrash, FaCheck } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import PostCard from '../components/PostCard';
+import './Bookmarks.css';
+
+// Chips under a bookmarked post for putting it in or out of each collection
+const CollectionChips = ({ post, collections, onToggle }) => {
+  const [busy, setBusy] = useState(null);
+
+  if (collections.length === 0) return null;
+
+  const handleToggle = async (collection, inCollection) => {
+    setBusy(collection._id);
+    try {
+      await onToggle(post, collection, inCollection);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="bookmark-chips">
+      {collections.map(collection => {
+        const inCollection = post.bookmarkCollections.includes(collection._id);
+        return (
+          <button
+            key={collection._id}
+            className={`bookmark-chip ${inCollection ? 'active' : ''}`}
+            onClick={() => handleToggle(collection, inCollection)}
+            disabled={busy === collection._id}
+          >
+            {inCollection ? <FaCheck /> : <FaPlus />}
+            <span>{collection.name}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+const Bookmarks = () => {
+  const [collections, setCollections] = useState([]);
+  const [totalBookmarks, setTotalBookmarks] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [renaming, setRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState('');
+
+  const selected = collections.find(collection => collection._id === selectedId) || null;
+
+  useEffect(() => {
+    fetchCollections();
+  }, []);
+
+  const fetchCollections = async () => {
+    try {
+      const response = await axios.get('/api/bookmarks/collections');
+      setCollections(response.data.collections);
+      setTotalBookmarks(response.data.totalBookmarks);
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+      toast.error('Failed to load collections');
+    }
+  };
+
+  const fetchPosts = useCallback(async (page = 1, append = false) => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/bookmarks', {
+        params: { page, limit: 10, collection: selectedId || undefined }
+      });
+
+      const { posts: newPosts, totalPages } = response.data;
+
+      if (append) {
+        setPosts(prev => [...prev, ...newPosts]);
+      } else {
+        setPosts(newPosts);
+      }
+
+      setCurrentPage(page);
+      setHasMore(page < totalPages);
+    } catch (error) {
+      console.error('Error fetching bookmarks:', error);
+      toast.error('Failed to load bookmarks');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    setRenaming(false);
+    fetchPosts(1, false);
+  }, [fetchPosts]);
+
+  const handleLoadMore = () => {
+    if (!loading && hasMore) {
+      fetchPosts(currentPage + 1, true);
+    }
+  };
+
+  const adjustCount = (collectionIds, change) => {
+    setCollections(prev => prev.map(collection =>
+      collectionIds.includes(collection._id)
+        ? { ...collection, postCount: collection.postCount + change }
+        : collection
+    ));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    setCreating(true);
+    try {
+      const response = await axios.post('/api/bookmarks/collections', { name: newName });
+      setCollections(prev => [...prev, response.data.collection]);
+      setNewName('');
+      toast.success('Collection created');
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to create collection';
+      toast.error(message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!renameValue.trim()) return;
+
+    try {
+      const response = await axios.put(`/api/bookmarks/collections/${selected._id}`, {
+        name: renameValue
+      });
+      const { name } = response.data.collection;
+      setCollections(prev => prev.map(collection =>
+        collection._id === selected._id ? { ...collection, name } : collection
+      ));
+      setRenaming(false);
+      toast.success('Collection renamed');
+    } catch (error) {
+      console.error('Error renaming collection:', error);
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to rename collection';
+      toast.error(message);
+    }
+  };
+
+  const handleDeleteCollection = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Its posts stay in your bookmarks.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/bookmarks/collections/${selected._id}`);
+      setCollections(prev => prev.filter(collection => collection._id !== selected._id));
+      setSelectedId(null);
+      toast.success('Collection deleted');
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      toast.error('Failed to delete collection');
+    }
+  };
+
+  const handleToggleCollection = async (post, collection, inCollection) => {
+    try {
+      const url = `/api/bookmarks/collections/${collection._id}/posts/${post._id}`;
+      if (inCollection) {
+        await axios.delete(url);
+      } else {
+        await axios.post(url);
+      }
+
+      adjustCount([collection._id], inCollection ? -1 : 1);
+
+      // Taken out of the collection being viewed, so it leaves the list
+      if (inCollection && collection._id === selectedId) {
+        setPosts(prev => prev.filter(p => p._id !== post._id));
+        return;
+      }
+
+      setPosts(prev => prev.map(p => p._id === post._id
+        ? {
+          ...p,
+          bookmarkCollections: inCollection
+            ? p.bookmarkCollections.filter(id => id !== collection._id)
+            : [...p.bookmarkCollections, collection._id]
+        }
+        : p
+      ));
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      const message = error.response?.data?.message || 'Failed to update collection';
+      toast.error(message);
+    }
+  };
+
+  // Unsaving a post takes it out of every collection too
+  const handleBookmarkToggled = (postId, bookmarked) => {
+    if (bookmarked) return;
+
+    const post = posts.find(p => p._id === postId);
+    if (post) {
+      adjustCount(post.bookmarkCollections, -1);
+    }
+    setTotalBookmarks(prev => prev - 1);
+    setPosts(prev => prev.filter(p => p._id !== postId));
+  };
+
+  const handlePostDeleted = (postId) => {
+    handleBookmarkToggled(postId, false);
+  };
+
+  const handlePostInteraction = (updatedPost) => {
+    setPosts(prev => prev.map(post =>
+      post._id === updatedPost._id
+        ? { ...updatedPost, bookmarkCollections: post.bookmarkCollections }
+        : post
+    ));
+  };
+
+  return (
+    <div className="bookmarks-container">
+      <div className="bookmarks-header">
+        <h1 className="bookmarks-title">
+          <FaBookmark className="bookmarks-icon" />
+          Bookmarks
+        </h1>
+        <p className="bookmarks-subtitle">Only you can see what you've saved</p>
+
+        <div className="collection-tabs">
+          <button
+            className={`collection-tab ${selectedId === null ? 'active' : ''}`}
+            onClick={() => setSelectedId(null)}
+          >
+            All <span className="collection-count">{totalBookmarks}</span>
+          </button>
+          {collections.map(collection => (
+            <button
+              key={collection._id}
+              className={`collection-tab ${selectedId === collection._id ? 'active' : ''}`}
+              onClick={() => setSelectedId(collection._id)}
+            >
+              {collection.name} <span className="collection-count">{collection.postCount}</span>
+            </button>
+          ))}
+        </div>
+
+        <form className="collection-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New collection"
+            className="collection-input"
+            maxLength="50"
+            disabled={creating}
+          />
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={creating || !newName.trim()}
+          >
+            <FaPlus /> Create
+          </button>
+        </form>
+
+        {selected && (
+          renaming ? (
+            <form className="collection-form" onSubmit={handleRename}>
+              <input
+                type="text"
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                className="collection-input"
+                maxLength="50"
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary" disabled={!renameValue.trim()}>
+                Save
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setRenaming(false)}>
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="collection-actions">
+              <button
+                className="collection-action"
+                onClick={() => {
+                  setRenameValue(selected.name);
+                  setRenaming(true);
+                }}
+              >
+                <FaEdit /> Rename
+              </button>
+              <button className="collection-action delete" onClick={handleDeleteCollection}>
+                <FaTrash /> Delete collection
+              </button>
+            </div>
+          )
+        )}
+      </div>
+
+      {posts.length === 0 && !loading ? (
+        <div className="no-results">
+          <p>{selected ? `Nothing in ${selected.name} yet` : 'No bookmarks yet'}</p>
+        </div>
+      ) : (
+        <div className="posts-list">
+          {posts.map(post => (
+            <div key={post._id} className="bookmark-item">
+              <PostCard
+                post={post}
+                onPostDeleted={handlePostDeleted}
+                onPostInteraction={handlePostInteraction}
+                onBookmarkToggled={handleBookmarkToggled}
+              />
+              <CollectionChips
+                post={post}
+                collections={collections}
+                onToggle={handleToggleCollection}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading">Loading bookmarks...</div>
+      )}
+
+      {hasMore && !loading && (
+        <div className="load-more-container">
+          <button
+            className="btn btn-secondary load-more-btn"
+            onClick={handleLoadMore}
+          >
+            Load More Posts
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Bookmarks;
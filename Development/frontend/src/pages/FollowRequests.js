@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaCheck, FaTimes, FaUserClock } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './FollowRequests.css';
+
+const FollowRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(null);
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/users/follow-requests');
+      setRequests(response.data.requests);
+    } catch (error) {
+      console.error('Error fetching follow requests:', error);
+      toast.error('Failed to load follow requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRespond = async (userId, action) => {
+    try {
+      setProcessing(userId);
+      const response = await axios.post(`/api/users/follow-requests/${userId}/${action}`);
+      setRequests(prev => prev.filter(request => request.user._id !== userId));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error(`Error trying to ${action} follow request:`, error);
+      const message = error.response?.data?.message || 'Failed to update follow request';
+      toast.error(message);
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+    } catch (error) {
+      return 'Unknown time';
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="follow-requests-container">
+        <div className="loading">Loading follow requests...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="follow-requests-container">
+      <div className="follow-requests-header">
+        <h1 className="follow-requests-title">Follow Requests</h1>
+        <p className="follow-requests-subtitle">
+          People who want to follow your private account
+        </p>
+      </div>
+
+      {requests.length === 0 ? (
+        <div className="no-requests">
+          <FaUserClock className="no-requests-icon" />
+          <h3>No pending requests</h3>
+          <p>When someone asks to follow you, they'll show up here</p>
+        </div>
+      ) : (
+        <div className="requests-list">
+          {requests.map(({ user, createdAt }) => (
+            <div key={user._id} className="request-item">
+              <Link to={`/profile/${user.username}`} className="request-user">
+                <img
+                  src={user.profilePicture || '/default-avatar.png'}
+                  alt={user.username}
+                  className="request-avatar"
+                  onError={(e) => {
+                    e.target.src = '/default-avatar.png';
+                  }}
+                />
+                <div className="request-details">
+                  <span className="request-name">
+                    {user.firstName} {user.lastName}
+                  </span>
+                  <span className="request-meta">
+                    @{user.username} · {formatDate(createdAt)}
+                  </span>
+                </div>
+              </Link>
+
+              <div className="request-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => handleRespond(user._id, 'approve')}
+                  disabled={processing === user._id}
+                >
+                  <FaCheck />
+                  <span>Approve</span>
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleRespond(user._id, 'reject')}
+                  disabled={processing === user._id}
+                >
+                  <FaTimes />
+                  <span>Reject</span>
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowRequests;
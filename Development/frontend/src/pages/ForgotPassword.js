@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FaEnvelope } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await axios.post('/api/auth/forgot-password', { email });
+      setSent(true);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      const message = error.response?.data?.message || 'Failed to send reset link';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Forgot Password</h1>
+          <p>Enter your email and we'll send you a link to reset your password</p>
+        </div>
+
+        {sent ? (
+          <div className="auth-notice">
+            If an account exists for <strong>{email}</strong>, a reset link is on its way.
+            Check your inbox and follow the link to choose a new password.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <div className="input-wrapper">
+                <FaEnvelope className="input-icon" />
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="Enter your email"
+                  className={error ? 'input-error' : ''}
+                  disabled={loading}
+                />
+              </div>
+              {error && <span className="error-message">{error}</span>}
+            </div>
+
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
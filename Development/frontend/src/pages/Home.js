@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import CreatePost from '../components/CreatePost';
 import PostCard from '../components/PostCard';
@@ -15,6 +16,7 @@ const Home = () => {
   const [hasMore, setHasMore] = useState(true);
   const [activeTab, setActiveTab] = useState('personalized');
   const [refreshing, setRefreshing] = useState(false);
+  const [popularTags, setPopularTags] = useState([]);
 
   const fetchPosts = async (page = 1, feedType = activeTab, refresh = false) => {
     try {
@@ -53,6 +55,19 @@ const Home = () => {
     fetchPosts(1, activeTab, true);
   }, [activeTab]);
 
+  useEffect(() => {
+    const fetchPopularTags = async () => {
+      try {
+        const response = await axios.get('/api/tags', { params: { limit: 10 } });
+        setPopularTags(response.data.tags);
+      } catch (error) {
+        console.error('Error fetching popular tags:', error);
+      }
+    };
+
+    fetchPopularTags();
+  }, []);
+
   const handleTabChange = (tab) => {
     setActiveTab(tab);
     setCurrentPage(1);
@@ -89,9 +104,9 @@ const Home = () => {
     toast.success('Post deleted successfully!');
   };
 
-  const handlePostInteraction = (postId, updatedPost) => {
+  const handlePostInteraction = (updatedPost) => {
     setPosts(prev => prev.map(post => 
-      post._id === postId ? updatedPost : post
+      post._id === updatedPost._id ? updatedPost : post
     ));
   };
 
@@ -177,6 +192,24 @@ const Home = () => {
               </div>
             </div>
           </div>
+
+          {popularTags.length > 0 && (
+            <div className="sidebar-card">
+              <h3>Popular Hashtags</h3>
+              <ul className="popular-tags">
+                {popularTags.map(({ tag, postCount }) => (
+                  <li key={tag} className="popular-tag">
+                    <Link to={`/tag/${encodeURIComponent(tag)}`} className="popular-tag-link">
+                      #{tag}
+                    </Link>
+                    <span className="popular-tag-count">
+                      {postCount} {postCount === 1 ? 'post' : 'posts'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     </div>
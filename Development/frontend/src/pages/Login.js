@@ -1,7 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaEnvelope, FaLock, FaEye, FaEyeSlash } from 'react-icons/fa';
+import { FaEnvelope, FaLock, FaEye, FaEyeSlash, FaShieldAlt } from 'react-icons/fa';
 import './Auth.css';
 
 const Login = () => {
@@ -12,8 +12,31 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set once the password step passes for an account with 2FA on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  // Seconds left before another attempt is allowed after a 429
+  const [retryIn, setRetryIn] = useState(0);
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
+
+  useEffect(() => {
+    if (retryIn <= 0) return undefined;
+    const timer = setTimeout(() => setRetryIn(retryIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryIn]);
+
+  const formatRetry = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${rest}`;
+  };
+
+  const retryNotice = retryIn > 0 && (
+    <div className="auth-alert" role="alert">
+      Too many sign-in attempts. You can try again in {formatRetry(retryIn)}.
+    </div>
+  );
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -60,6 +83,10 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       if (result.success) {
         navigate('/');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.retryAfter) {
+        setRetryIn(result.retryAfter);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -68,6 +95,93 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setErrors({ code: 'Code is required' });
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, code.trim());
+      if (result.success) {
+        navigate('/');
+      } else if (result.expired) {
+        handleBackToPassword();
+      } else if (result.retryAfter) {
+        setRetryIn(result.retryAfter);
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setCode('');
+    setErrors({});
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Two-Factor Authentication</h1>
+            <p>Enter the 6-digit code from your authenticator app, or one of your backup codes</p>
+          </div>
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            {retryNotice}
+            <div className="form-group">
+              <label htmlFor="code">Code</label>
+              <div className="input-wrapper">
+                <FaShieldAlt className="input-icon" />
+                <input
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setErrors({});
+                  }}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className={errors.code ? 'input-error' : ''}
+                  disabled={loading}
+                />
+              </div>
+              {errors.code && <span className="error-message">{errors.code}</span>}
+            </div>
+
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={loading || retryIn > 0}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <button type="button" className="auth-link auth-link-button" onClick={handleBackToPassword}>
+                Back to sign in
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -77,6 +191,7 @@ const Login = () => {
         </div>
 
         <form onSubmit={handleSubmit} className="auth-form">
+          {retryNotice}
           <div className="form-group">
             <label htmlFor="email">Email</label>
             <div className="input-wrapper">
@@ -121,10 +236,14 @@ const Login = () => {
             {errors.password && <span className="error-message">{errors.password}</span>}
           </div>
 
+          <Link to="/forgot-password" className="auth-link forgot-password-link">
+            Forgot password?
+          </Link>
+
           <button
             type="submit"
             className="auth-button"
-            disabled={loading}
+            disabled={loading || retryIn > 0}
           >
             {loading ? 'Signing In...' : 'Sign In'}
           </button>
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { FaHeart, FaComment, FaUserPlus, FaAtSign, FaCheck, FaCheckDouble } from 'react-icons/fa';
+import { FaHeart, FaComment, FaUserPlus, FaUserClock, FaAtSign, FaCheck, FaCheckDouble, FaReply, FaSmile, FaRetweet, FaPoll } from 'react-icons/fa';
 import { formatDistanceToNow } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { getReaction } from '../components/ReactionPicker';
 import './Notifications.css';
 
 const Notifications = () => {
@@ -101,8 +102,20 @@ const Notifications = () => {
         return <FaHeart className="notification-icon like" />;
       case 'comment':
         return <FaComment className="notification-icon comment" />;
+      case 'reply':
+        return <FaReply className="notification-icon comment" />;
+      case 'comment_like':
+        return <FaHeart className="notification-icon like" />;
+      case 'reaction':
+        return <FaSmile className="notification-icon like" />;
+      case 'repost':
+        return <FaRetweet className="notification-icon repost" />;
+      case 'poll_closed':
+        return <FaPoll className="notification-icon mention" />;
       case 'follow':
         return <FaUserPlus className="notification-icon follow" />;
+      case 'follow_request':
+        return <FaUserClock className="notification-icon follow" />;
       case 'mention':
         return <FaAtSign className="notification-icon mention" />;
       default:
@@ -111,7 +124,7 @@ const Notifications = () => {
   };
 
   const getNotificationText = (notification) => {
-    const { type, from, post, content } = notification;
+    const { type, from, post, content, reaction } = notification;
     
     switch (type) {
       case 'like':
@@ -143,6 +156,68 @@ const Notifications = () => {
           </>
         );
       
+      case 'reply':
+        return (
+          <>
+            <Link to={`/profile/${from.username}`} className="user-link">
+              {from.firstName} {from.lastName}
+            </Link>
+            {' replied to your comment on a '}
+            <Link to={`/post/${post._id}`} className="post-link">
+              post
+            </Link>
+            {content && (
+              <span className="comment-preview">: "{content}"</span>
+            )}
+          </>
+        );
+      
+      case 'reaction':
+        return (
+          <>
+            <Link to={`/profile/${from.username}`} className="user-link">
+              {from.firstName} {from.lastName}
+            </Link>
+            {` reacted ${getReaction(reaction)?.emoji || ''} to your `}
+            <Link to={`/post/${post._id}`} className="post-link">
+              post
+            </Link>
+          </>
+        );
+      
+      case 'repost':
+        // Quotes link to the quote and carry its text; reposts link to your post
+        return (
+          <>
+            <Link to={`/profile/${from.username}`} className="user-link">
+              {from.firstName} {from.lastName}
+            </Link>
+            {content ? ' quoted your ' : ' reposted your '}
+            <Link to={`/post/${post._id}`} className="post-link">
+              post
+            </Link>
+            {content && (
+              <span className="comment-preview">: "{content}"</span>
+            )}
+          </>
+        );
+      
+      case 'comment_like':
+        return (
+          <>
+            <Link to={`/profile/${from.username}`} className="user-link">
+              {from.firstName} {from.lastName}
+            </Link>
+            {' liked your comment on a '}
+            <Link to={`/post/${post._id}`} className="post-link">
+              post
+            </Link>
+            {content && (
+              <span className="comment-preview">: "{content}"</span>
+            )}
+          </>
+        );
+      
       case 'follow':
         return (
           <>
@@ -153,16 +228,45 @@ const Notifications = () => {
           </>
         );
       
+      case 'follow_request':
+        return (
+          <>
+            <Link to={`/profile/${from.username}`} className="user-link">
+              {from.firstName} {from.lastName}
+            </Link>
+            {' requested to follow you. '}
+            <Link to="/follow-requests" className="post-link">
+              Review requests
+            </Link>
+          </>
+        );
+      
       case 'mention':
         return (
           <>
             <Link to={`/profile/${from.username}`} className="user-link">
               {from.firstName} {from.lastName}
             </Link>
-            {' mentioned you in a '}
+            {notification.comment ? ' mentioned you in a comment on a ' : ' mentioned you in a '}
             <Link to={`/post/${post._id}`} className="post-link">
               post
             </Link>
+            {content && (
+              <span className="comment-preview">: "{content}"</span>
+            )}
+          </>
+        );
+      
+      case 'poll_closed':
+        return (
+          <>
+            {'Your poll has closed. See the results on your '}
+            <Link to={`/post/${post._id}`} className="post-link">
+              post
+            </Link>
+            {content && (
+              <span className="comment-preview">: "{content}"</span>
+            )}
           </>
         );
       
@@ -6,6 +6,11 @@ import { formatDistanceToNow } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import PostCard from '../components/PostCard';
+import RichText from '../components/RichText';
+import RevisionHistory from '../components/RevisionHistory';
+import QuotedPost from '../components/QuotedPost';
+import ThreadPost from '../components/ThreadPost';
+import AudiencePicker, { getAudience } from '../components/AudiencePicker';
 import './PostDetail.css';
 
 const PostDetail = () => {
@@ -14,13 +19,14 @@ const PostDetail = () => {
   const navigate = useNavigate();
   
   const [post, setPost] = useState(null);
+  const [thread, setThread] = useState(null); // every post of its thread, in order
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editing, setEditing] = useState(false);
   const [editForm, setEditForm] = useState({
     content: '',
     location: '',
-    isPublic: true
+    audience: 'public'
   });
 
   useEffect(() => {
@@ -36,10 +42,11 @@ const PostDetail = () => {
       const fetchedPost = response.data.post;
       
       setPost(fetchedPost);
+      setThread(response.data.thread);
       setEditForm({
         content: fetchedPost.content,
         location: fetchedPost.location || '',
-        isPublic: fetchedPost.isPublic
+        audience: fetchedPost.audience
       });
       
     } catch (error) {
@@ -62,7 +69,7 @@ const PostDetail = () => {
     setEditForm({
       content: post.content,
       location: post.location || '',
-      isPublic: post.isPublic
+      audience: post.audience
     });
     setEditing(false);
   };
@@ -171,6 +178,23 @@ const PostDetail = () => {
   }
 
   const isAuthor = currentUser && post.author._id === currentUser._id;
+  const audience = getAudience(post.audience);
+  const AudienceIcon = audience.icon;
+
+  // The rest of the thread is shown around this post, in order
+  const threadIndex = thread ? thread.findIndex(threadPost => threadPost._id === post._id) : -1;
+  const renderThreadPosts = (posts, offset) => posts.length > 0 && (
+    <div className="post-thread">
+      {posts.map((threadPost, index) => (
+        <ThreadPost
+          key={threadPost._id}
+          post={threadPost}
+          position={offset + index + 1}
+          total={thread.length}
+        />
+      ))}
+    </div>
+  );
 
   return (
     <div className="post-detail-container">
@@ -203,6 +227,8 @@ const PostDetail = () => {
         )}
       </div>
 
+      {threadIndex > 0 && !editing && renderThreadPosts(thread.slice(0, threadIndex), 0)}
+
       <div className="post-detail-content">
         {editing ? (
           <div className="edit-form-container">
@@ -243,18 +269,11 @@ const PostDetail = () => {
               </div>
 
               <div className="form-group">
-                <label className="privacy-toggle">
-                  <input
-                    type="checkbox"
-                    name="isPublic"
-                    checked={editForm.isPublic}
-                    onChange={handleInputChange}
-                    className="privacy-checkbox"
-                  />
-                  <span className="privacy-text">
-                    Make this post public
-                  </span>
-                </label>
+                <label>{thread ? 'Who can see this thread' : 'Who can see this post'}</label>
+                <AudiencePicker
+                  value={editForm.audience}
+                  onChange={(audience) => setEditForm(prev => ({ ...prev, audience }))}
+                />
               </div>
 
               <div className="edit-form-actions">
@@ -304,13 +323,18 @@ const PostDetail = () => {
                   </span>
                 )}
                 <span className="post-privacy">
-                  {post.isPublic ? '🌍 Public' : '🔒 Private'}
+                  <AudienceIcon /> {audience.label}
                 </span>
+                {threadIndex >= 0 && (
+                  <span className="post-thread-position">
+                    🧵 {threadIndex + 1} of {thread.length}
+                  </span>
+                )}
               </div>
             </div>
 
             <div className="post-content">
-              <p className="post-text">{post.content}</p>
+              <RichText text={post.content} className="post-text" />
               {post.images && post.images.length > 0 && (
                 <div className="post-images">
                   {post.images.map((image, index) => (
@@ -326,26 +350,42 @@ const PostDetail = () => {
                   ))}
                 </div>
               )}
+              {(post.quoteOf || post.quoteUnavailable) && (
+                <QuotedPost post={post.quoteOf} unavailable={post.quoteUnavailable} />
+              )}
             </div>
 
             <div className="post-stats">
               <span className="stat-item">
-                ❤️ {post.likes.length} {post.likes.length === 1 ? 'like' : 'likes'}
+                ❤️ {post.reactions.length} {post.reactions.length === 1 ? 'reaction' : 'reactions'}
+              </span>
+              <span className="stat-item">
+                💬 {post.commentCount} {post.commentCount === 1 ? 'comment' : 'comments'}
               </span>
               <span className="stat-item">
-                💬 {post.comments.length} {post.comments.length === 1 ? 'comment' : 'comments'}
+                🔁 {post.repostCount} {post.repostCount === 1 ? 'repost' : 'reposts'}
+              </span>
+              <span className="stat-item">
+                💭 {post.quoteCount} {post.quoteCount === 1 ? 'quote' : 'quotes'}
               </span>
             </div>
+
+            {post.editedAt && (
+              <RevisionHistory postId={post._id} editedAt={post.editedAt} />
+            )}
           </div>
         )}
       </div>
 
+      {threadIndex >= 0 && !editing && renderThreadPosts(thread.slice(threadIndex + 1), threadIndex + 1)}
+
       {!editing && (
         <div className="post-interactions">
           <PostCard
             post={post}
             onPostInteraction={handlePostInteraction}
             showFullComments={true}
+            showThreadLink={false}
           />
         </div>
       )}
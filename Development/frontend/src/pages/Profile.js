@@ -1,16 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaEdit, FaSave, FaTimes, FaUserPlus, FaUserMinus, FaMapMarkerAlt, FaCalendarAlt } from 'react-icons/fa';
+import { FaEdit, FaSave, FaTimes, FaUserPlus, FaUserMinus, FaMapMarkerAlt, FaCalendarAlt, FaCamera, FaLock, FaUserClock, FaBan, FaVolumeMute, FaVolumeUp, FaStar, FaRegStar } from 'react-icons/fa';
 import { formatDistanceToNow } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import PostCard from '../components/PostCard';
+import ImageCropper from '../components/ImageCropper';
 import './Profile.css';
 
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB, matches the server limit
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
 const Profile = () => {
   const { username } = useParams();
-  const { user: currentUser } = useAuth();
+  const { user: currentUser, updateUser } = useAuth();
   const navigate = useNavigate();
   
   const [profileUser, setProfileUser] = useState(null);
@@ -21,14 +25,23 @@ const Profile = () => {
   const [editForm, setEditForm] = useState({
     firstName: '',
     lastName: '',
-    bio: ''
+    bio: '',
+    isPrivate: false
   });
-  const [following, setFollowing] = useState(false);
+  const [followStatus, setFollowStatus] = useState('none'); // 'none' | 'requested' | 'following'
+  const [canViewPosts, setCanViewPosts] = useState(true);
+  const [blocked, setBlocked] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [closeFriend, setCloseFriend] = useState(false);
   const [followersCount, setFollowersCount] = useState(0);
   const [followingCount, setFollowingCount] = useState(0);
   const [postsCount, setPostsCount] = useState(0);
   const [currentPage, setCurrentPage] = useState(1);
   const [hasMorePosts, setHasMorePosts] = useState(true);
+  const [cropTarget, setCropTarget] = useState(null); // { kind: 'avatar' | 'cover', file }
+  const [uploadingImage, setUploadingImage] = useState(false);
+  const avatarInputRef = useRef(null);
+  const coverInputRef = useRef(null);
 
   const isOwnProfile = currentUser && profileUser && currentUser.username === profileUser.username;
 
@@ -37,9 +50,8 @@ const Profile = () => {
   }, [username]);
 
   useEffect(() => {
-    if (profileUser) {
+    if (profileUser && canViewPosts) {
       fetchPosts();
-      checkFollowStatus();
     }
   }, [profileUser]);
 
@@ -47,8 +59,21 @@ const Profile = () => {
     try {
       setLoading(true);
       const response = await axios.get(`/api/users/profile/${username}`);
-      const { user, posts: userPosts } = response.data;
+      const {
+        user,
+        posts: userPosts,
+        canViewPosts: canView,
+        followStatus: status,
+        blocked: isBlocked,
+        muted: isMuted,
+        closeFriend: isCloseFriend
+      } = response.data;
       
+      setCanViewPosts(canView);
+      setFollowStatus(status || 'none');
+      setBlocked(isBlocked);
+      setMuted(isMuted);
+      setCloseFriend(isCloseFriend);
       setProfileUser(user);
       setPosts(userPosts);
       setFollowersCount(user.followers);
@@ -59,7 +84,8 @@ const Profile = () => {
       setEditForm({
         firstName: user.firstName,
         lastName: user.lastName,
-        bio: user.bio || ''
+        bio: user.bio || '',
+        isPrivate: user.isPrivate
       });
       
     } catch (error) {
@@ -101,33 +127,29 @@ const Profile = () => {
     }
   };
 
-  const checkFollowStatus = async () => {
-    if (!currentUser || !profileUser) return;
-    
-    try {
-      const response = await axios.get(`/api/users/profile/${username}`);
-      const { user } = response.data;
-      setFollowing(user.followers.includes(currentUser._id));
-    } catch (error) {
-      console.error('Error checking follow status:', error);
-    }
-  };
-
   const handleFollow = async () => {
     if (!currentUser) return;
     
     try {
-      if (following) {
-        await axios.delete(`/api/users/follow/${profileUser._id}`);
-        setFollowersCount(prev => prev - 1);
-        toast.success('Unfollowed successfully');
-      } else {
-        await axios.post(`/api/users/follow/${profileUser._id}`);
+      // Unfollowing and cancelling a pending request both go through DELETE
+      const response = followStatus === 'none'
+        ? await axios.post(`/api/users/follow/${profileUser._id}`)
+        : await axios.delete(`/api/users/follow/${profileUser._id}`);
+      const { message, followStatus: newStatus } = response.data;
+
+      if (newStatus === 'following') {
         setFollowersCount(prev => prev + 1);
-        toast.success('Followed successfully');
+      } else if (followStatus === 'following') {
+        setFollowersCount(prev => prev - 1);
+        // Unfollowing a private account hides its posts again
+        if (profileUser.isPrivate) {
+          setCanViewPosts(false);
+          setPosts([]);
+        }
       }
-      
-      setFollowing(!following);
+
+      setFollowStatus(newStatus);
+      toast.success(message);
     } catch (error) {
       console.error('Error following/unfollowing:', error);
       const message = error.response?.data?.message || 'Failed to follow/unfollow';
@@ -135,6 +157,54 @@ const Profile = () => {
     }
   };
 
+  const handleBlock = async () => {
+    if (!blocked && !window.confirm(`Block @${profileUser.username}? You will stop following each other and won't see each other's posts.`)) {
+      return;
+    }
+
+    try {
+      const response = blocked
+        ? await axios.delete(`/api/users/block/${profileUser._id}`)
+        : await axios.post(`/api/users/block/${profileUser._id}`);
+      toast.success(response.data.message);
+
+      // Reload so follow counts, follow status and posts reflect the change
+      await fetchProfile();
+    } catch (error) {
+      console.error('Error blocking/unblocking:', error);
+      const message = error.response?.data?.message || 'Failed to update block';
+      toast.error(message);
+    }
+  };
+
+  const handleMute = async () => {
+    try {
+      const response = muted
+        ? await axios.delete(`/api/users/mute/${profileUser._id}`)
+        : await axios.post(`/api/users/mute/${profileUser._id}`);
+      setMuted(!muted);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error muting/unmuting:', error);
+      const message = error.response?.data?.message || 'Failed to update mute';
+      toast.error(message);
+    }
+  };
+
+  const handleCloseFriend = async () => {
+    try {
+      const response = closeFriend
+        ? await axios.delete(`/api/users/close-friends/${profileUser._id}`)
+        : await axios.post(`/api/users/close-friends/${profileUser._id}`);
+      setCloseFriend(!closeFriend);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error updating close friends:', error);
+      const message = error.response?.data?.message || 'Failed to update close friends';
+      toast.error(message);
+    }
+  };
+
   const handleEdit = () => {
     setEditing(true);
   };
@@ -143,7 +213,8 @@ const Profile = () => {
     setEditForm({
       firstName: profileUser.firstName,
       lastName: profileUser.lastName,
-      bio: profileUser.bio || ''
+      bio: profileUser.bio || '',
+      isPrivate: profileUser.isPrivate
     });
     setEditing(false);
   };
@@ -159,7 +230,13 @@ const Profile = () => {
       
       // Update current user context if editing own profile
       if (isOwnProfile) {
-        // You might want to update the auth context here
+        updateUser({
+          ...currentUser,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          bio: user.bio,
+          isPrivate: user.isPrivate
+        });
       }
       
     } catch (error) {
@@ -169,11 +246,63 @@ const Profile = () => {
     }
   };
 
+  const handleImagePick = (kind) => (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+      toast.error('Please choose a JPEG, PNG, GIF or WebP image');
+      return;
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      toast.error('Images cannot be larger than 5MB');
+      return;
+    }
+
+    setCropTarget({ kind, file });
+  };
+
+  const handleCropConfirm = async (crop) => {
+    const { kind, file } = cropTarget;
+    const data = new FormData();
+    data.append('image', file);
+    data.append('crop', JSON.stringify(crop));
+
+    try {
+      setUploadingImage(true);
+      const response = await axios.post(`/api/users/profile/${kind}`, data);
+      const { user } = response.data;
+
+      setProfileUser(prev => ({
+        ...prev,
+        profilePicture: user.profilePicture,
+        profilePictureSizes: user.profilePictureSizes,
+        coverPhoto: user.coverPhoto
+      }));
+      updateUser({
+        ...currentUser,
+        profilePicture: user.profilePicture,
+        profilePictureSizes: user.profilePictureSizes,
+        coverPhoto: user.coverPhoto
+      });
+
+      setCropTarget(null);
+      toast.success(kind === 'avatar' ? 'Profile picture updated' : 'Cover photo updated');
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      const message = error.response?.data?.message || 'Failed to upload image';
+      toast.error(message);
+    } finally {
+      setUploadingImage(false);
+    }
+  };
+
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setEditForm(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
   };
 
@@ -221,18 +350,71 @@ const Profile = () => {
   return (
     <div className="profile-container">
       <div className="profile-header">
-        <div className="profile-cover">
+        <div
+          className="profile-cover"
+          style={profileUser.coverPhoto ? { backgroundImage: `url(${profileUser.coverPhoto})` } : undefined}
+        >
+          {isOwnProfile && (
+            <>
+              <button
+                className="image-upload-btn cover-upload-btn"
+                onClick={() => coverInputRef.current?.click()}
+                title="Change cover photo"
+              >
+                <FaCamera />
+                <span>Edit cover</span>
+              </button>
+              <input
+                ref={coverInputRef}
+                type="file"
+                accept={ALLOWED_IMAGE_TYPES.join(',')}
+                onChange={handleImagePick('cover')}
+                className="image-file-input"
+              />
+            </>
+          )}
+
           <div className="profile-avatar-container">
             <img
-              src={profileUser.profilePicture || '/default-avatar.png'}
+              src={profileUser.profilePictureSizes?.large || profileUser.profilePicture || '/default-avatar.png'}
               alt={profileUser.username}
               className="profile-avatar"
               onError={(e) => {
                 e.target.src = '/default-avatar.png';
               }}
             />
+            {isOwnProfile && (
+              <>
+                <button
+                  className="image-upload-btn avatar-upload-btn"
+                  onClick={() => avatarInputRef.current?.click()}
+                  title="Change profile picture"
+                >
+                  <FaCamera />
+                </button>
+                <input
+                  ref={avatarInputRef}
+                  type="file"
+                  accept={ALLOWED_IMAGE_TYPES.join(',')}
+                  onChange={handleImagePick('avatar')}
+                  className="image-file-input"
+                />
+              </>
+            )}
           </div>
         </div>
+
+        {cropTarget && (
+          <ImageCropper
+            file={cropTarget.file}
+            aspect={cropTarget.kind === 'avatar' ? 1 : 3}
+            frameWidth={cropTarget.kind === 'avatar' ? 300 : 450}
+            title={cropTarget.kind === 'avatar' ? 'Crop profile picture' : 'Crop cover photo'}
+            saving={uploadingImage}
+            onCancel={() => setCropTarget(null)}
+            onConfirm={handleCropConfirm}
+          />
+        )}
         
         <div className="profile-info">
           <div className="profile-main">
@@ -263,7 +445,24 @@ const Profile = () => {
                 />
               )}
               
-              <span className="profile-username">@{profileUser.username}</span>
+              <span className="profile-username">
+                @{profileUser.username}
+                {profileUser.isPrivate && (
+                  <FaLock className="private-badge" title="Private account" />
+                )}
+              </span>
+              
+              {editing && (
+                <label className="private-toggle">
+                  <input
+                    type="checkbox"
+                    name="isPrivate"
+                    checked={editForm.isPrivate}
+                    onChange={handleInputChange}
+                  />
+                  <span>Private account (approve new followers)</span>
+                </label>
+              )}
             </div>
 
             <div className="profile-actions">
@@ -286,13 +485,49 @@ const Profile = () => {
                   </button>
                 )
               ) : (
-                <button
-                  className={`btn ${following ? 'btn-secondary' : 'btn-primary'} follow-btn`}
-                  onClick={handleFollow}
-                >
-                  {following ? <FaUserMinus /> : <FaUserPlus />}
-                  <span>{following ? 'Unfollow' : 'Follow'}</span>
-                </button>
+                <>
+                  {!blocked && (
+                    <button
+                      className={`btn ${followStatus === 'none' ? 'btn-primary' : 'btn-secondary'} follow-btn`}
+                      onClick={handleFollow}
+                      title={followStatus === 'requested' ? 'Cancel follow request' : undefined}
+                    >
+                      {followStatus === 'following' && <FaUserMinus />}
+                      {followStatus === 'requested' && <FaUserClock />}
+                      {followStatus === 'none' && <FaUserPlus />}
+                      <span>
+                        {followStatus === 'following' ? 'Unfollow' : followStatus === 'requested' ? 'Requested' : 'Follow'}
+                      </span>
+                    </button>
+                  )}
+                  {!blocked && (
+                    <button
+                      className={`btn btn-secondary close-friend-btn ${closeFriend ? 'active' : ''}`}
+                      onClick={handleCloseFriend}
+                      title={closeFriend ? 'Remove from close friends' : 'Add to close friends (they won\'t be told)'}
+                    >
+                      {closeFriend ? <FaStar /> : <FaRegStar />}
+                      <span>Close friend</span>
+                    </button>
+                  )}
+                  {!blocked && (
+                    <button
+                      className="btn btn-secondary mute-btn"
+                      onClick={handleMute}
+                      title={muted ? 'Unmute' : 'Mute (they won\'t be told)'}
+                    >
+                      {muted ? <FaVolumeUp /> : <FaVolumeMute />}
+                      <span>{muted ? 'Unmute' : 'Mute'}</span>
+                    </button>
+                  )}
+                  <button
+                    className={`btn ${blocked ? 'btn-secondary' : 'btn-danger'} block-btn`}
+                    onClick={handleBlock}
+                  >
+                    <FaBan />
+                    <span>{blocked ? 'Unblock' : 'Block'}</span>
+                  </button>
+                </>
               )}
             </div>
           </div>
@@ -343,7 +578,19 @@ const Profile = () => {
         </div>
 
         <div className="posts-section">
-          {posts.length === 0 ? (
+          {blocked ? (
+            <div className="private-account-notice">
+              <FaBan className="private-notice-icon" />
+              <p>You blocked @{profileUser.username}</p>
+              <p>Unblock them to see their posts.</p>
+            </div>
+          ) : !canViewPosts ? (
+            <div className="private-account-notice">
+              <FaLock className="private-notice-icon" />
+              <p>This account is private</p>
+              <p>Follow this account to see their posts.</p>
+            </div>
+          ) : posts.length === 0 ? (
             <div className="no-posts">
               <p>No posts yet</p>
               {isOwnProfile && (
@@ -17,6 +17,12 @@ const Search = () => {
   const [hasSearched, setHasSearched] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [hasMore, setHasMore] = useState(false);
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [postFilters, setPostFilters] = useState({
+    author: '',
+    from: '',
+    to: ''
+  });
 
   useEffect(() => {
     // Clear results when search type changes
@@ -25,8 +31,32 @@ const Search = () => {
     setHasSearched(false);
     setCurrentPage(1);
     setHasMore(false);
+    setTotalPosts(0);
   }, [searchType]);
 
+  const buildPostSearchParams = (page) => {
+    const params = {
+      q: searchQuery.trim(),
+      page,
+      limit: 10
+    };
+    
+    // Only send the filters that have been filled in
+    if (postFilters.author.trim()) params.author = postFilters.author.trim().replace(/^@/, '');
+    if (postFilters.from) params.from = postFilters.from;
+    if (postFilters.to) params.to = `${postFilters.to}T23:59:59.999Z`;
+    
+    return params;
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setPostFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
   const handleSearch = async (e) => {
     e.preventDefault();
     
@@ -47,17 +77,12 @@ const Search = () => {
         setUsers(response.data.users);
         setHasMore(false); // User search doesn't have pagination in current API
       } else {
-        // For posts, we'll implement a simple search
-        // This would typically be a separate API endpoint
-        const response = await axios.get('/api/posts', {
-          params: { 
-            page: 1, 
-            limit: 10,
-            search: searchQuery.trim()
-          }
+        const response = await axios.get('/api/posts/search', {
+          params: buildPostSearchParams(1)
         });
         setPosts(response.data.posts);
-        setHasMore(response.data.posts.length === 10);
+        setTotalPosts(response.data.totalPosts);
+        setHasMore(response.data.currentPage < response.data.totalPages);
       }
     } catch (error) {
       console.error('Search error:', error);
@@ -72,17 +97,13 @@ const Search = () => {
 
     try {
       setLoading(true);
-      const response = await axios.get('/api/posts', {
-        params: { 
-          page: currentPage + 1, 
-          limit: 10,
-          search: searchQuery.trim()
-        }
+      const response = await axios.get('/api/posts/search', {
+        params: buildPostSearchParams(currentPage + 1)
       });
       
       setPosts(prev => [...prev, ...response.data.posts]);
       setCurrentPage(prev => prev + 1);
-      setHasMore(response.data.posts.length === 10);
+      setHasMore(response.data.currentPage < response.data.totalPages);
     } catch (error) {
       console.error('Load more error:', error);
       toast.error('Failed to load more results');
@@ -93,18 +114,16 @@ const Search = () => {
 
   const handleFollow = async (userId, isFollowing) => {
     try {
-      if (isFollowing) {
-        await axios.delete(`/api/users/follow/${userId}`);
-        toast.success('Unfollowed successfully');
-      } else {
-        await axios.post(`/api/users/follow/${userId}`);
-        toast.success('Followed successfully');
-      }
+      const response = isFollowing
+        ? await axios.delete(`/api/users/follow/${userId}`)
+        : await axios.post(`/api/users/follow/${userId}`);
+      toast.success(response.data.message);
       
       // Update the users list to reflect the follow status change
+      // (following a private account only sends a request)
       setUsers(prev => prev.map(user => 
         user._id === userId 
-          ? { ...user, isFollowing: !isFollowing }
+          ? { ...user, isFollowing: response.data.followStatus !== 'none' }
           : user
       ));
     } catch (error) {
@@ -131,6 +150,8 @@ const Search = () => {
     setHasSearched(false);
     setCurrentPage(1);
     setHasMore(false);
+    setTotalPosts(0);
+    setPostFilters({ author: '', from: '', to: '' });
   };
 
   return (
@@ -177,6 +198,42 @@ const Search = () => {
             </div>
           </div>
 
+          {searchType === 'posts' && (
+            <div className="post-filters">
+              <input
+                type="text"
+                name="author"
+                value={postFilters.author}
+                onChange={handleFilterChange}
+                placeholder="Author username (optional)"
+                className="filter-input"
+                disabled={loading}
+              />
+              <label className="filter-label">
+                From
+                <input
+                  type="date"
+                  name="from"
+                  value={postFilters.from}
+                  onChange={handleFilterChange}
+                  className="filter-input"
+                  disabled={loading}
+                />
+              </label>
+              <label className="filter-label">
+                To
+                <input
+                  type="date"
+                  name="to"
+                  value={postFilters.to}
+                  onChange={handleFilterChange}
+                  className="filter-input"
+                  disabled={loading}
+                />
+              </label>
+            </div>
+          )}
+
           <div className="search-actions">
             <button
               type="submit"
@@ -253,7 +310,7 @@ const Search = () => {
           ) : (
             <div className="posts-results">
               <h2 className="results-title">
-                {loading ? 'Searching...' : `Found ${posts.length} post${posts.length !== 1 ? 's' : ''}`}
+                {loading ? 'Searching...' : `Found ${totalPosts} post${totalPosts !== 1 ? 's' : ''}`}
               </h2>
               
               {posts.length === 0 && !loading ? (
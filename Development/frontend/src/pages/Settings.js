@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { FaDesktop, FaSignOutAlt } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccountSettings from '../components/AccountSettings';
+import './Settings.css';
+
+const Settings = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      const response = await axios.delete(`/api/auth/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      const message = error.response?.data?.message || 'Failed to revoke session';
+      toast.error(message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking('others');
+      const response = await axios.delete('/api/auth/sessions');
+      setSessions(prev => prev.filter(session => session.current));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      const message = error.response?.data?.message || 'Failed to revoke sessions';
+      toast.error(message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+    } catch (error) {
+      return 'Unknown time';
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="settings-container">
+      <div className="settings-header">
+        <h1 className="settings-title">Settings</h1>
+      </div>
+
+      <TwoFactorSettings />
+
+      <section className="settings-section">
+        <div className="settings-section-header">
+          <div>
+            <h2 className="settings-section-title">Active sessions</h2>
+            <p className="settings-section-subtitle">
+              Devices that are currently logged in to your account
+            </p>
+          </div>
+          {otherSessions.length > 0 && (
+            <button
+              className="btn btn-secondary"
+              onClick={handleRevokeOthers}
+              disabled={revoking === 'others'}
+            >
+              <FaSignOutAlt />
+              <span>Log out other sessions</span>
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading sessions...</div>
+        ) : (
+          <div className="sessions-list">
+            {sessions.map(session => (
+              <div key={session._id} className="session-item">
+                <div className="session-info">
+                  <FaDesktop className="session-icon" />
+                  <div className="session-details">
+                    <span className="session-device">
+                      {session.device}
+                      {session.current && <span className="session-current">This device</span>}
+                    </span>
+                    <span className="session-meta">
+                      {session.ip || 'Unknown IP'} · Active {formatDate(session.lastUsedAt)}
+                    </span>
+                  </div>
+                </div>
+
+                {!session.current && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleRevoke(session._id)}
+                    disabled={revoking === session._id}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <AccountSettings />
+    </div>
+  );
+};
+
+export default Settings;
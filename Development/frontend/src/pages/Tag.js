@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { FaHashtag } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import PostCard from '../components/PostCard';
+import './Tag.css';
+
+const Tag = () => {
+  const { tag } = useParams();
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [totalPosts, setTotalPosts] = useState(0);
+
+  const fetchPosts = useCallback(async (page = 1, append = false) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/tags/${encodeURIComponent(tag)}`, {
+        params: { page, limit: 10 }
+      });
+
+      const { posts: newPosts, totalPages, totalPosts: total } = response.data;
+
+      if (append) {
+        setPosts(prev => [...prev, ...newPosts]);
+      } else {
+        setPosts(newPosts);
+      }
+
+      setCurrentPage(page);
+      setHasMore(page < totalPages);
+      setTotalPosts(total);
+    } catch (error) {
+      console.error('Error fetching tag posts:', error);
+      toast.error('Failed to load posts');
+    } finally {
+      setLoading(false);
+    }
+  }, [tag]);
+
+  useEffect(() => {
+    fetchPosts(1, false);
+  }, [fetchPosts]);
+
+  const handleLoadMore = () => {
+    if (!loading && hasMore) {
+      fetchPosts(currentPage + 1, true);
+    }
+  };
+
+  const handlePostDeleted = (postId) => {
+    setPosts(prev => prev.filter(post => post._id !== postId));
+    setTotalPosts(prev => prev - 1);
+  };
+
+  const handlePostInteraction = (updatedPost) => {
+    setPosts(prev => prev.map(post =>
+      post._id === updatedPost._id ? updatedPost : post
+    ));
+  };
+
+  return (
+    <div className="tag-container">
+      <div className="tag-header">
+        <h1 className="tag-title">
+          <FaHashtag className="tag-icon" />
+          {tag}
+        </h1>
+        <p className="tag-subtitle">
+          {totalPosts} {totalPosts === 1 ? 'post' : 'posts'}
+        </p>
+      </div>
+
+      {posts.length === 0 && !loading ? (
+        <div className="no-results">
+          <p>No posts tagged #{tag} yet</p>
+        </div>
+      ) : (
+        <div className="posts-list">
+          {posts.map(post => (
+            <PostCard
+              key={post._id}
+              post={post}
+              onPostDeleted={handlePostDeleted}
+              onPostInteraction={handlePostInteraction}
+            />
+          ))}
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading">Loading posts...</div>
+      )}
+
+      {hasMore && !loading && (
+        <div className="load-more-container">
+          <button
+            className="btn btn-secondary load-more-btn"
+            onClick={handleLoadMore}
+          >
+            Load More Posts
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tag;
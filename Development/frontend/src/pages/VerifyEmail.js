@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never send the same one twice
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post('/api/auth/verify-email', { token });
+        setMessage(response.data.message);
+        setStatus('verified');
+      } catch (error) {
+        console.error('Verify email error:', error);
+        setMessage(error.response?.data?.message || 'Failed to verify email address');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Lift the unverified limits straight away if this browser is signed in
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      updateUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Email Verification</h1>
+        </div>
+
+        <div className="auth-notice">
+          {status === 'verifying' ? 'Verifying your email address...' : message}
+        </div>
+
+        {status !== 'verifying' && (
+          <div className="auth-footer">
+            <p>
+              <Link to={user ? '/' : '/login'} className="auth-link">
+                {user ? 'Go to your feed' : 'Sign in'}
+              </Link>
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;